@@ -0,0 +1,360 @@
+/**
+ * This file contains an (opt-in) query result cache for ComboboxInput
+ * `filter()` functions & data-sources.
+ *
+ * Results are cached by normalised query so the same (slow or rate
+ * limited) request is not made again when the user backspaces to
+ * something they already typed.
+ *
+ * The cache:
+ * * holds at most `maxSize` results (the least recently used result
+ *   is dropped first)
+ * * forgets results after `ttl` milliseconds
+ * * shares a single request between everyone asking for the same
+ *   query while the request is in flight (the request is only
+ *   aborted when everyone waiting for it has given up)
+ * * (optionally) answers a query by filtering the complete result of
+ *   a shorter query it starts with (e.g. "new s" from "new")
+ *
+ * A cache can be shared between comboboxes by passing the same cache
+ * object to each combobox's `cache` prop.
+ *
+ * > __Note:__ Only share a cache between comboboxes that get their
+ * >           options from the same `filter()` or data-source.
+ *
+ * @example
+ * ```js
+ * // One cache for every suburb combobox on the page
+ * const suburbCache = createQueryCache({ maxSize: 100, ttl: 600000 });
+ * ```
+ * ```vue
+ * <ComboboxInput id="home" label="Suburb" :cache="suburbCache" :source="suburbs" />
+ * <ComboboxInput id="work" label="Suburb" :cache="suburbCache" :source="suburbs" />
+ * ```
+ *
+ * @file combobox-cache.utils.js
+ */
+
+import { isObj } from '../../../utils/data-utils';
+import { getCharNormaliser, normaliseText } from '../../../utils/normalise-utils';
+import { rankOptions } from './combobox-match.utils';
+import { getRawOptions } from './combobox.utils';
+import { getOptionPage } from './combobox-source.utils';
+
+// ========================================================
+// START: JSDoc type definitions
+
+/**
+ * Query cache config
+ *
+ * @typedef TQueryCacheConfig
+ * @type {object}
+ *
+ * @property {number}   [maxSize]     Maximum number of results to
+ *                                    keep [50]
+ * @property {number}   [ttl]         Number of milliseconds results
+ *                                    are kept for (`0` to keep them
+ *                                    until they are pushed out by
+ *                                    newer results) [300000]
+ * @property {object}   [normalise]   How queries are normalised (see
+ *                                    `TNormaliseConfig` in
+ *                                    `normalise-utils.js`)
+ * @property {boolean}  [prefixReuse] Whether or not to answer queries
+ *                                    by filtering the complete result
+ *                                    of a shorter query [TRUE]
+ * @property {Function} [isComplete]  Decides whether a result holds
+ *                                    every option matching its query
+ *                                    (and so can be reused for longer
+ *                                    queries). Called with the page
+ *                                    of options & the query. By
+ *                                    default, a result is complete if
+ *                                    there is no next page
+ * @property {Function} [filter]      Used to filter a reused result.
+ *                                    Called with the list of options,
+ *                                    the query & a matching config
+ *                                    (see `rankOptions()`) [ranked
+ *                                    matching engine]
+ * @property {Function} [now]         Returns the current time in
+ *                                    milliseconds [`Date.now`]
+ */
+
+/**
+ * ComboboxInput query cache
+ *
+ * @typedef TQueryCache
+ * @type {object}
+ *
+ * @property {(query: string) => boolean} has Whether or not a
+ *                                    (fresh) result can be given for
+ *                                    the query without calling the
+ *                                    loader
+ * @property {(query: string) => Array|object|null} get Get the
+ *                                    result for the query (`NULL` if
+ *                                    there isn't one)
+ * @property {(query: string, response: Array|object) => void} set
+ *                                    Store the result for a query
+ * @property {(query: string, context: object, loader: Function, force?: boolean) => Array|object|Promise<Array|object>} fetch
+ *                                    Get the result for a query from
+ *                                    the cache or (if it's not
+ *                                    cached or `force` is `TRUE`)
+ *                                    from the loader
+ * @property {(query?: string) => void} clear Forget the result for a
+ *                                    query (or every result)
+ */
+
+//  END:  JSDoc type definitions
+// ========================================================
+// START: Public functions
+
+/**
+ * Check whether something is a query cache
+ *
+ * @param {any} input Value to be checked
+ *
+ * @returns {boolean}
+ */
+export const isQueryCache = (input) => (isObj(input)
+  && typeof input.fetch === 'function'
+  && typeof input.has === 'function');
+
+/**
+ * Create a query result cache
+ *
+ * @param {TQueryCacheConfig} config
+ *
+ * @returns {TQueryCache}
+ */
+export const createQueryCache = (config = {}) => {
+  const {
+    filter = rankOptions,
+    isComplete = (page) => (page.next === null),
+    maxSize = 50,
+    normalise = {},
+    now = Date.now,
+    prefixReuse = true,
+    ttl = 300000,
+  } = config;
+
+  /**
+   * Cached results (in least to most recently used order)
+   *
+   * @var {Map<string, {response: any, time: number, complete: boolean}>}
+   */
+  const entries = new Map();
+
+  /**
+   * Requests that are still in flight
+   *
+   * @var {Map<string, {controller: AbortController, promise: Promise, waiting: number}>}
+   */
+  const inFlight = new Map();
+
+  const normaliseChar = getCharNormaliser(normalise);
+
+  const getKey = (query) => normaliseText(query, { ...normalise, keepSpaces: true });
+
+  const isFresh = (entry) => (ttl <= 0 || (now() - entry.time) < ttl);
+
+  /**
+   * Get a fresh entry (marking it as the most recently used)
+   *
+   * @param {string} key Normalised query
+   *
+   * @returns {object|null}
+   */
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+
+    if (typeof entry === 'undefined') {
+      return null;
+    }
+
+    entries.delete(key);
+
+    if (isFresh(entry) === false) {
+      return null;
+    }
+
+    entries.set(key, entry);
+
+    return entry;
+  };
+
+  /**
+   * Find the longest cached query that the supplied query starts with
+   * whose result is complete
+   *
+   * @param {string} key Normalised query
+   *
+   * @returns {object|null}
+   */
+  const getPrefixEntry = (key) => {
+    if (prefixReuse !== true) {
+      return null;
+    }
+
+    for (let i = key.length - 1; i > 0; i -= 1) {
+      const entry = getEntry(key.substring(0, i));
+
+      if (entry !== null && entry.complete === true) {
+        return entry;
+      }
+    }
+
+    return null;
+  };
+
+  const get = (query) => {
+    const key = getKey(query);
+    const entry = getEntry(key);
+
+    if (entry !== null) {
+      return entry.response;
+    }
+
+    const prefix = getPrefixEntry(key);
+
+    return (prefix !== null)
+      ? filter(
+        getRawOptions(getOptionPage(prefix.response).options),
+        query,
+        { normaliseChar },
+      )
+      : null;
+  };
+
+  const has = (query) => {
+    const key = getKey(query);
+
+    return (getEntry(key) !== null || getPrefixEntry(key) !== null);
+  };
+
+  const set = (query, response) => {
+    const page = getOptionPage(response);
+
+    if (page === null) {
+      return;
+    }
+
+    const key = getKey(query);
+
+    entries.delete(key);
+    entries.set(key, {
+      complete: (isComplete(page, query) === true),
+      response,
+      time: now(),
+    });
+
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const clear = (query = undefined) => {
+    if (typeof query === 'string') {
+      entries.delete(getKey(query));
+    } else {
+      entries.clear();
+    }
+  };
+
+  /**
+   * Stop waiting for an in-flight request (aborting it if no one
+   * else is waiting for it)
+   *
+   * @param {string} key     Normalised query
+   * @param {object} pending In-flight request
+   *
+   * @returns {void}
+   */
+  const release = (key, pending) => {
+    // eslint-disable-next-line no-param-reassign
+    pending.waiting -= 1;
+
+    if (pending.waiting <= 0) {
+      pending.controller.abort();
+
+      if (inFlight.get(key) === pending) {
+        inFlight.delete(key);
+      }
+    }
+  };
+
+  const fetch = (query, context, loader, force = false) => {
+    // Later pages are never cached
+    if (typeof context.next !== 'undefined' && context.next !== null) {
+      return loader(query, context);
+    }
+
+    if (force !== true) {
+      const cached = get(query);
+
+      if (cached !== null) {
+        return cached;
+      }
+    }
+
+    const key = getKey(query);
+    // A forced fetch never joins a request that is already in flight
+    // (its result may be just as stale as the cached one)
+    let pending = (force !== true)
+      ? inFlight.get(key)
+      : undefined;
+
+    if (typeof pending === 'undefined') {
+      const controller = new AbortController();
+      const response = loader(query, { ...context, signal: controller.signal });
+
+      if (!(response instanceof Promise)) {
+        set(query, response);
+        return response;
+      }
+
+      pending = {
+        controller,
+        promise: response.then((result) => {
+          if (inFlight.get(key) === pending) {
+            inFlight.delete(key);
+          }
+
+          if (controller.signal.aborted === false) {
+            set(query, result);
+          }
+
+          return result;
+        }, (error) => {
+          if (inFlight.get(key) === pending) {
+            inFlight.delete(key);
+          }
+
+          throw error;
+        }),
+        waiting: 0,
+      };
+
+      inFlight.set(key, pending);
+    }
+
+    const request = pending;
+    const { signal } = context;
+
+    request.waiting += 1;
+
+    if (typeof signal !== 'undefined' && signal !== null) {
+      signal.addEventListener('abort', () => { release(key, request); }, { once: true });
+    }
+
+    return request.promise;
+  };
+
+  return {
+    clear,
+    fetch,
+    get,
+    has,
+    set,
+  };
+};
+
+//  END:  Public functions
+// ========================================================
@@ -0,0 +1,374 @@
+/**
+ * This file contains an (opt-in) selection history for ComboboxInput.
+ *
+ * The history remembers which options the user chose, how often &
+ * when, so the combobox can:
+ * * show the most recently chosen options when the input field is
+ *   focused & empty
+ * * rank options the user chooses often above other (similarly
+ *   good) matches
+ *
+ * Where the history is kept is pluggable: `localStorage` (kept
+ * across sessions), `sessionStorage` (kept until the tab is closed)
+ * or in memory (kept until the page is reloaded. Useful for tests &
+ * for users who shouldn't be tracked).
+ *
+ * @example
+ * ```js
+ * // History shared by every "suburb" combobox & forgotten when the
+ * // tab is closed
+ * const suburbHistory = createHistory({ key: 'suburbs', storage: 'session' });
+ * ```
+ * ```vue
+ * <ComboboxInput id="home" label="Suburb" :history="suburbHistory" :source="suburbs" />
+ * <ComboboxInput id="postcode" label="Postcode" :history="true" :filter="getPostcodes" />
+ * ```
+ *
+ * @file combobox-history.utils.js
+ */
+
+import { isObj, setLocalValue } from '../../../utils/data-utils';
+
+// ========================================================
+// START: JSDoc type definitions
+
+/**
+ * Where history is stored
+ *
+ * Stored values are JSON encoded strings
+ *
+ * @typedef THistoryStorage
+ * @type {object}
+ *
+ * @property {(key: string) => string|null} get Get a stored value
+ * @property {(key: string, value: string) => void} set Store a value
+ */
+
+/**
+ * A single history entry
+ *
+ * @typedef THistoryEntry
+ * @type {object}
+ *
+ * @property {object} option Chosen option
+ * @property {number} count  Number of times the option was chosen
+ * @property {number} time   When the option was last chosen
+ *                           (milliseconds since the Unix epoch)
+ */
+
+/**
+ * History config
+ *
+ * @typedef THistoryConfig
+ * @type {object}
+ *
+ * @property {string} key          Key the history is stored under
+ * @property {string|THistoryStorage} [storage] Where history is
+ *                                 stored (`local`, `session`,
+ *                                 `memory` or a custom storage
+ *                                 object) ["local"]
+ * @property {number} [limit]      Maximum number of recent options to
+ *                                 show [5]
+ * @property {number} [maxEntries] Maximum number of options to
+ *                                 remember [50]
+ * @property {number} [weight]     How much each time an option was
+ *                                 chosen adds to its ranking score
+ *                                 (up to ten times) [3]
+ * @property {Function} [now]      Returns the current time in
+ *                                 milliseconds [`Date.now`]
+ */
+
+//  END:  JSDoc type definitions
+// ========================================================
+// START: Storage adapters
+
+/**
+ * Get an in-memory history storage
+ *
+ * @returns {THistoryStorage}
+ */
+export const memoryStorage = () => {
+  const data = new Map();
+
+  return {
+    get: (key) => ((data.has(key))
+      ? data.get(key)
+      : null),
+    set: (key, value) => { data.set(key, value); },
+  };
+};
+
+/**
+ * Get a history storage that uses `localStorage`
+ *
+ * @returns {THistoryStorage}
+ */
+export const localHistoryStorage = () => ({
+  // `getLocalValue()` stores its default value when nothing is
+  // stored, so `localStorage` is read directly
+  get: (key) => ((typeof localStorage !== 'undefined')
+    ? localStorage.getItem(key)
+    : null),
+  set: (key, value) => { setLocalValue(key, value); },
+});
+
+/**
+ * Get a history storage that uses `sessionStorage`
+ *
+ * @returns {THistoryStorage}
+ */
+export const sessionHistoryStorage = () => ({
+  get: (key) => ((typeof sessionStorage !== 'undefined')
+    ? sessionStorage.getItem(key)
+    : null),
+  set: (key, value) => {
+    if (typeof sessionStorage !== 'undefined') {
+      sessionStorage.setItem(key, value);
+    }
+  },
+});
+
+/**
+ * Get the storage for a history
+ *
+ * @param {string|THistoryStorage} storage Type of storage (or custom
+ *                                         storage object)
+ *
+ * @returns {THistoryStorage}
+ */
+const getStorage = (storage) => {
+  if (isObj(storage) && typeof storage.get === 'function' && typeof storage.set === 'function') {
+    return storage;
+  }
+
+  switch (storage) {
+    case 'memory':
+      return memoryStorage();
+
+    case 'session':
+      return sessionHistoryStorage();
+
+    case 'local':
+      return localHistoryStorage();
+
+    default:
+      throw new Error(
+        'createHistory() expects `storage` to be "local", "session", '
+        + '"memory" or an object with `get()` & `set()` methods. '
+        + `${typeof storage} given`,
+      );
+  }
+};
+
+//  END:  Storage adapters
+// ========================================================
+// START: Public functions
+
+/**
+ * Check whether something is a history (created by
+ * `createHistory()`)
+ *
+ * @param {any} input Value to be checked
+ *
+ * @returns {boolean}
+ */
+export const isHistory = (input) => (isObj(input)
+  && typeof input.record === 'function'
+  && typeof input.getRecent === 'function');
+
+/**
+ * Remove the results of matching (which only apply to the query the
+ * option was matched against) from an option
+ *
+ * @param {object} option Option to be stored
+ *
+ * @returns {object}
+ */
+const getStoredOption = (option) => {
+  const {
+    matchedKeyword, // eslint-disable-line no-unused-vars
+    matches, // eslint-disable-line no-unused-vars
+    score, // eslint-disable-line no-unused-vars
+    ...output
+  } = option;
+
+  return output;
+};
+
+/**
+ * Create a selection history
+ *
+ * @param {THistoryConfig} config
+ *
+ * @returns {object} History with `getEntries()`, `getRecent()`,
+ *                   `getCount()`, `record()`, `remove()`, `clear()` &
+ *                   `boost()` methods
+ */
+export const createHistory = (config) => {
+  const {
+    key,
+    limit = 5,
+    maxEntries = 50,
+    now = Date.now,
+    storage = 'local',
+    weight = 3,
+  } = config;
+
+  if (typeof key !== 'string' || key.trim() === '') {
+    throw new Error(
+      'createHistory() expects `key` to be a non-empty string. '
+      + `${typeof key} given`,
+    );
+  }
+
+  const store = getStorage(storage);
+
+  /**
+   * Get every history entry (most recently chosen first)
+   *
+   * @returns {THistoryEntry[]}
+   */
+  const getEntries = () => {
+    let output = [];
+
+    try {
+      output = JSON.parse(store.get(key));
+    } catch {
+      // Anything we can't read is treated as no history
+    }
+
+    return (Array.isArray(output))
+      ? output.filter((entry) => (isObj(entry) && isObj(entry.option)))
+      : [];
+  };
+
+  /**
+   * Store history entries (most recently chosen first)
+   *
+   * @param {THistoryEntry[]} entries
+   *
+   * @returns {void}
+   */
+  const save = (entries) => {
+    try {
+      store.set(key, JSON.stringify(
+        [...entries].sort((a, b) => (b.time - a.time)).slice(0, maxEntries),
+      ));
+    } catch {
+      // Storage is full or blocked (e.g. by privacy settings).
+      // Forgetting a choice is better than breaking the combobox
+    }
+  };
+
+  /**
+   * Get the most recently chosen options
+   *
+   * @param {number} max Maximum number of options to get
+   *
+   * @returns {object[]}
+   */
+  const getRecent = (max = limit) => getEntries().slice(0, max).map((entry) => entry.option);
+
+  /**
+   * Get the number of times an option was chosen
+   *
+   * @param {string} value Option value
+   *
+   * @returns {number}
+   */
+  const getCount = (value) => {
+    const entry = getEntries().find((item) => item.option.value === value);
+
+    return (typeof entry !== 'undefined')
+      ? entry.count
+      : 0;
+  };
+
+  /**
+   * Remember that an option was chosen
+   *
+   * @param {object} option Chosen option
+   *
+   * @returns {void}
+   */
+  const record = (option) => {
+    if (!isObj(option) || typeof option.value === 'undefined') {
+      return;
+    }
+
+    const entries = getEntries();
+    const entry = entries.find((item) => item.option.value === option.value);
+
+    if (typeof entry !== 'undefined') {
+      entry.count += 1;
+      entry.option = getStoredOption(option);
+      entry.time = now();
+    } else {
+      entries.push({ option: getStoredOption(option), count: 1, time: now() });
+    }
+
+    save(entries);
+  };
+
+  /**
+   * Forget an option was ever chosen
+   *
+   * @param {string} value Option value
+   *
+   * @returns {void}
+   */
+  const remove = (value) => {
+    save(getEntries().filter((entry) => entry.option.value !== value));
+  };
+
+  const clear = () => { save([]); };
+
+  /**
+   * Rank options the user chooses often above other (similarly good)
+   * matches
+   *
+   * Each time an option was chosen (up to ten times) adds `weight`
+   * to its `score` (if it has one). Options are then (stable) sorted
+   * by score.
+   *
+   * @param {object[]} optionList List of options
+   *
+   * @returns {object[]} Sorted options
+   */
+  const boost = (optionList) => {
+    const counts = new Map(getEntries().map((entry) => [entry.option.value, entry.count]));
+
+    if (counts.size === 0) {
+      return optionList;
+    }
+
+    const getScore = (option) => {
+      const base = (typeof option.score === 'number')
+        ? option.score
+        : 0;
+      const count = (counts.has(option.value))
+        ? counts.get(option.value)
+        : 0;
+
+      return base + (Math.min(count, 10) * weight);
+    };
+
+    return optionList.map((option, index) => ({ option, index, score: getScore(option) }))
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .map((item) => item.option);
+  };
+
+  return {
+    boost,
+    clear,
+    getCount,
+    getEntries,
+    getRecent,
+    key,
+    record,
+    remove,
+  };
+};
+
+//  END:  Public functions
+// ========================================================
@@ -0,0 +1,617 @@
+/**
+ * This file contains a collection of "pure" functions used to match
+ * the text a user typed into a combobox against combobox options
+ * and work out which parts of an option's label matched.
+ *
+ * Each function is exported so it can be easily unit tested.
+ *
+ * @file combobox-match.utils.js
+ */
+
+import { foldChar } from '../../../utils/normalise-utils';
+
+// ========================================================
+// START: JSDoc type definitions
+
+/**
+ * Start (inclusive) and end (exclusive) character indexes of a
+ * matched fragment of an option label
+ *
+ * @typedef TMatchRange
+ * @type {[number, number]}
+ */
+
+/**
+ * A normalised string along with the information needed to map each
+ * character in the normalised string back to the original string
+ *
+ * @typedef TNormalisedMap
+ * @type {object}
+ *
+ * @property {string}   text   Normalised version of the string
+ * @property {number[]} starts For each character in `text`, the
+ *                             index of the first character in the
+ *                             original string it came from
+ * @property {number[]} ends   For each character in `text`, the
+ *                             index after the last character in the
+ *                             original string it came from
+ */
+
+/**
+ * A fragment of an option label that either was or was not matched
+ *
+ * @typedef TLabelPart
+ * @type {object}
+ *
+ * @property {string}  text Fragment of the label
+ * @property {boolean} mark Whether or not the fragment was matched
+ */
+
+//  END:  JSDoc type definitions
+// ========================================================
+
+/**
+ * Normalise a string one character at a time, keeping track of where
+ * each normalised character came from in the original string.
+ *
+ * @param {string}   str           String to be normalised
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character (may return more or
+ *                                 fewer than one character)
+ *
+ * @returns {TNormalisedMap}
+ */
+export const normaliseWithMap = (str, normaliseChar = foldChar) => {
+  const starts = [];
+  const ends = [];
+  let text = '';
+  let i = 0;
+
+  // Iterating a string gives whole code points (not UTF-16 code
+  // units) so surrogate pairs are kept together
+  for (const char of str) {
+    const tmp = normaliseChar(char);
+
+    for (let a = 0; a < tmp.length; a += 1) {
+      starts.push(i);
+      ends.push(i + char.length);
+    }
+
+    text += tmp;
+    i += char.length;
+  }
+
+  return { text, starts, ends };
+};
+
+/**
+ * Sort a list of ranges and merge any that overlap or touch
+ *
+ * @param {TMatchRange[]} ranges List of match ranges
+ *
+ * @returns {TMatchRange[]}
+ */
+export const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const output = [];
+
+  for (const range of sorted) {
+    const last = output[output.length - 1];
+
+    if (typeof last !== 'undefined' && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      output.push([range[0], range[1]]);
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Work out which parts of a label match the text the user typed.
+ *
+ * The query is split into words and every occurrence of each word
+ * is matched. Matching is done on normalised versions of both the
+ * label and the query (so punctuation and case are ignored) but the
+ * ranges returned point to characters in the original label.
+ *
+ * @param {string}   label         Option label
+ * @param {string}   query         Text the user typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {TMatchRange[]} List of matched ranges
+ */
+export const getMatchRanges = (label, query, normaliseChar = foldChar) => {
+  if (typeof label !== 'string' || typeof query !== 'string') {
+    return [];
+  }
+
+  const { text, starts, ends } = normaliseWithMap(label, normaliseChar);
+  const ranges = [];
+
+  for (const word of query.split(/\s+/)) {
+    const needle = normaliseWithMap(word, normaliseChar).text;
+
+    if (needle !== '') {
+      let pos = text.indexOf(needle);
+
+      while (pos > -1) {
+        ranges.push([starts[pos], ends[pos + needle.length - 1]]);
+        pos = text.indexOf(needle, pos + needle.length);
+      }
+    }
+  }
+
+  return mergeRanges(ranges);
+};
+
+/**
+ * Split a label into matched and unmatched fragments so matched
+ * fragments can be highlighted without using `v-html`
+ *
+ * @param {string}        label  Option label
+ * @param {TMatchRange[]} ranges List of matched ranges
+ *
+ * @returns {TLabelPart[]}
+ */
+export const splitByRanges = (label, ranges) => {
+  const output = [];
+  let i = 0;
+
+  for (const [start, end] of mergeRanges(ranges)) {
+    const _start = Math.max(start, i);
+    const _end = Math.min(end, label.length);
+
+    if (_start < _end) {
+      if (_start > i) {
+        output.push({ text: label.substring(i, _start), mark: false });
+      }
+
+      output.push({ text: label.substring(_start, _end), mark: true });
+      i = _end;
+    }
+  }
+
+  if (i < label.length) {
+    output.push({ text: label.substring(i), mark: false });
+  }
+
+  return output;
+};
+
+// ========================================================
+// START: Ranked matching engine
+
+/**
+ * Base scores for each type of match (higher is better)
+ *
+ * @type {object}
+ */
+export const matchScores = {
+  exact: 120,
+  prefix: 100,
+  wordStart: 80,
+  substring: 60,
+  typo: 40,
+};
+
+/**
+ * How much matches on each field are worth relative to matches on
+ * the label
+ *
+ * @type {object}
+ */
+const fieldWeights = {
+  label: 1,
+  value: 0.9,
+  keywords: 0.8,
+};
+
+/**
+ * Get the number of single character edits (insertions, deletions,
+ * substitutions & transpositions of adjacent characters) needed to
+ * turn one string into another (Optimal String Alignment distance)
+ *
+ * @param {string} a   First string
+ * @param {string} b   Second string
+ * @param {number} max Distance after which we stop counting
+ *
+ * @returns {number} Edit distance (or `max + 1` if the distance is
+ *                   greater than `max`)
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = (a[i - 1] === b[j - 1])
+        ? 0
+        : 1;
+
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+
+      rowMin = Math.min(rowMin, row[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    prev2 = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Get the number of typos allowed for a search term of a given
+ * length (short terms must match exactly)
+ *
+ * @param {number} len Length of the (normalised) search term
+ *
+ * @returns {number}
+ */
+const allowedTypos = (len) => {
+  if (len >= 8) {
+    return 2;
+  }
+
+  return (len >= 4)
+    ? 1
+    : 0;
+};
+
+/**
+ * Split a string into normalised words, keeping track of where each
+ * word's characters came from in the original string
+ *
+ * @param {string}   str           String to be split
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {TNormalisedMap[]}
+ */
+const getWords = (str, normaliseChar) => {
+  const output = [];
+
+  for (const match of str.matchAll(/[^\s\-/]+/g)) {
+    const word = normaliseWithMap(match[0], normaliseChar);
+
+    if (word.text !== '') {
+      output.push({
+        text: word.text,
+        starts: word.starts.map((i) => i + match.index),
+        ends: word.ends.map((i) => i + match.index),
+      });
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Prepare a single field of an option (label, value or keyword) for
+ * matching
+ *
+ * @param {string}   str           Field value
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {{whole: TNormalisedMap, words: TNormalisedMap[]}}
+ */
+const prepareField = (str, normaliseChar) => ({
+  whole: normaliseWithMap(str, normaliseChar),
+  words: getWords(str, normaliseChar),
+});
+
+/**
+ * Find the best way a single (normalised) search term matches a
+ * single (prepared) field
+ *
+ * @param {object}  field Prepared field (see `prepareField()`)
+ * @param {string}  term  Normalised search term
+ * @param {boolean} typos Whether or not to allow typos
+ *
+ * @returns {{score: number, range: TMatchRange|null}|null} Match
+ *          score and matched range within the original field value
+ *          (or NULL if the term did not match)
+ */
+const matchField = (field, term, typos) => {
+  const { whole, words } = field;
+  const rangeOf = (map, start, len) => [map.starts[start], map.ends[start + len - 1]];
+
+  if (whole.text === term) {
+    return { score: matchScores.exact, range: rangeOf(whole, 0, term.length) };
+  }
+
+  if (whole.text.startsWith(term)) {
+    return { score: matchScores.prefix, range: rangeOf(whole, 0, term.length) };
+  }
+
+  const word = words.find((item) => item.text.startsWith(term));
+
+  if (typeof word !== 'undefined') {
+    return { score: matchScores.wordStart, range: rangeOf(word, 0, term.length) };
+  }
+
+  const pos = whole.text.indexOf(term);
+
+  if (pos > -1) {
+    return { score: matchScores.substring, range: rangeOf(whole, pos, term.length) };
+  }
+
+  const max = allowedTypos(term.length);
+
+  if (typos === true && max > 0) {
+    let best = null;
+
+    for (const item of words) {
+      // Compare with both the whole word and the start of the word
+      // (in case the user hasn't finished typing)
+      const distance = Math.min(
+        editDistance(term, item.text, max),
+        editDistance(term, item.text.substring(0, term.length), max),
+      );
+
+      if (distance <= max && (best === null || distance < best.distance)) {
+        best = { distance, item };
+      }
+    }
+
+    if (best !== null) {
+      return {
+        score: matchScores.typo - (best.distance * 10),
+        range: rangeOf(best.item, 0, Math.min(term.length, best.item.text.length)),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the text values for each field of an option that can be
+ * matched
+ *
+ * @param {object} option Option to be matched
+ *
+ * @returns {Array<{key: string, text: string}>}
+ */
+const getOptionFields = (option) => {
+  const label = (typeof option.label === 'string' && option.label.trim() !== '')
+    ? option.label
+    : option.value;
+  const output = [{ key: 'label', text: label }];
+
+  if (typeof option.value === 'string' && option.value !== label) {
+    output.push({ key: 'value', text: option.value });
+  }
+
+  if (Array.isArray(option.keywords)) {
+    for (const keyword of option.keywords) {
+      if (typeof keyword === 'string' && keyword.trim() !== '') {
+        output.push({ key: 'keywords', text: keyword });
+      }
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Prepared fields of each option (for each character normaliser)
+ *
+ * Options are prepared the first time they are matched, not every
+ * time the user types a character
+ *
+ * @type {WeakMap<Function, WeakMap<object, Array>>}
+ */
+const preparedFields = new WeakMap();
+
+/**
+ * Get the prepared fields of an option that can be matched
+ *
+ * @param {object}   option        Option to be matched
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {Array<{key: string, text: string, prepared: object}>}
+ */
+const getPreparedFields = (option, normaliseChar = foldChar) => {
+  let byOption = preparedFields.get(normaliseChar);
+
+  if (typeof byOption === 'undefined') {
+    byOption = new WeakMap();
+    preparedFields.set(normaliseChar, byOption);
+  }
+
+  let output = byOption.get(option);
+
+  if (typeof output === 'undefined') {
+    output = getOptionFields(option).map((field) => ({
+      ...field,
+      prepared: prepareField(field.text, normaliseChar),
+    }));
+    byOption.set(option, output);
+  }
+
+  return output;
+};
+
+/**
+ * Split the text the user typed into normalised search terms
+ *
+ * @param {string}   query         Text the user typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {string[]} List of (non-empty) normalised words
+ */
+export const getTerms = (query, normaliseChar = foldChar) => { // eslint-disable-line arrow-body-style
+  return (typeof query === 'string')
+    ? query.split(/\s+/)
+      .map((word) => normaliseWithMap(word, normaliseChar).text)
+      .filter((word) => word !== '')
+    : [];
+};
+
+/**
+ * Get the keyword (alias) of an option that matched the text the
+ * user typed (when the option's label didn't)
+ *
+ * Used for options returned by filters that don't use
+ * `rankOptions()`
+ *
+ * @param {object}   option        Option to be checked
+ * @param {string}   query         Text the user typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {string} Matched keyword (or empty string if no keyword
+ *                   matched)
+ */
+export const getMatchedKeyword = (option, query, normaliseChar = foldChar) => {
+  if (Array.isArray(option.keywords) === false || option.keywords.length === 0) {
+    return '';
+  }
+
+  const tmp = scoreOption( // eslint-disable-line no-use-before-define
+    option,
+    getTerms(query, normaliseChar),
+    { typos: true, normaliseChar },
+  );
+
+  return (tmp !== null)
+    ? tmp.matchedKeyword
+    : '';
+};
+
+/**
+ * Score how well a single option matches the text the user typed.
+ *
+ * Every word the user typed must match at least one of the option's
+ * label, value or keywords. Each word is scored by the best way it
+ * matches (exact, prefix, word start, substring or typo tolerant)
+ * and the field it matched on.
+ *
+ * @param {object} option Option to be scored
+ * @param {string[]} terms Normalised words the user typed
+ * @param {object} config  Matching config
+ *                         (see `rankOptions()`)
+ *
+ * @returns {{score: number, matches: TMatchRange[], matchedKeyword: string}|null}
+ *          Score, matched ranges of the option's label and the
+ *          keyword (alias) that matched if part of what the user
+ *          typed only matched one of the option's keywords (or NULL
+ *          if the option did not match)
+ */
+export const scoreOption = (option, terms, config) => {
+  const fields = getPreparedFields(option, config.normaliseChar);
+  const matches = [];
+  let matchedKeyword = '';
+  let score = 0;
+
+  for (const term of terms) {
+    let best = null;
+    let keyword = null;
+    let inLabel = false;
+
+    for (const field of fields) {
+      const tmp = matchField(field.prepared, term, config.typos);
+
+      if (tmp !== null) {
+        const weighted = tmp.score * fieldWeights[field.key];
+
+        if (best === null || weighted > best) {
+          best = weighted;
+        }
+
+        // Even if the best match was on another field, we still want
+        // to highlight where the term matched the label
+        if (field.key === 'label') {
+          matches.push(tmp.range);
+          inLabel = true;
+        } else if (field.key === 'keywords' && (keyword === null || weighted > keyword.score)) {
+          keyword = { score: weighted, text: field.text };
+        }
+      }
+    }
+
+    if (best === null) {
+      return null;
+    }
+
+    if (inLabel === false && keyword !== null && matchedKeyword === '') {
+      matchedKeyword = keyword.text;
+    }
+
+    score += best;
+  }
+
+  return { score, matches: mergeRanges(matches), matchedKeyword };
+};
+
+/**
+ * Filter a list of options down to the ones that match the text the
+ * user typed and sort them so the best matches come first.
+ *
+ * Options with equal scores are sorted by label length (shorter
+ * first) then by their original order.
+ *
+ * @param {Array}  optionList List of (normalised) options
+ * @param {string} query      Text the user typed
+ * @param {object} config     Matching config
+ * @param {boolean}  [config.typos=true] Whether or not to allow
+ *                                   typos in longer words
+ * @param {Function} [config.normaliseChar] Function that normalises
+ *                                   a single character (see
+ *                                   `getCharNormaliser()` in
+ *                                   `normalise-utils.js`)
+ *
+ * @returns {Array} Matched options (each with `score` & `matches`
+ *                  properties added)
+ */
+export const rankOptions = (optionList, query, config = {}) => {
+  const _config = { typos: true, normaliseChar: foldChar, ...config };
+  const terms = getTerms(query, _config.normaliseChar);
+
+  if (terms.length === 0) {
+    return optionList;
+  }
+
+  const output = [];
+
+  for (let a = 0; a < optionList.length; a += 1) {
+    const tmp = scoreOption(optionList[a], terms, _config);
+
+    if (tmp !== null) {
+      output.push({
+        option: { ...optionList[a], ...tmp },
+        index: a,
+        len: getPreparedFields(optionList[a], _config.normaliseChar)[0].text.length,
+      });
+    }
+  }
+
+  return output.sort((a, b) => (b.option.score - a.option.score)
+    || (a.len - b.len)
+    || (a.index - b.index)).map((item) => item.option);
+};
+
+//  END:  Ranked matching engine
+// ========================================================
@@ -0,0 +1,515 @@
+/**
+ * This file contains data-source adapters for ComboboxInput (an
+ * alternative to writing a `filter()` function for every combobox).
+ *
+ * A data-source is an object with a `search()` method. It is called
+ * with the text the user typed and a context object (with a
+ * `signal` property & for paged sources, a `next` property) and
+ * returns (or resolves to) either a list of options or a page of
+ * options (`{ options, next }`).
+ *
+ * Each function is exported so it can be easily unit tested.
+ *
+ * @example
+ * ```js
+ * const source = restSource({
+ *   url: 'https://api.example.com/people',
+ *   params: { q: '{query}', country: 'AU' },
+ *   path: 'data.results',
+ *   map: { value: 'id', label: 'name.full' },
+ * });
+ * ```
+ * ```vue
+ * <ComboboxInput id="person" label="Person" :source="source" />
+ * ```
+ *
+ * @file combobox-source.utils.js
+ */
+
+import { isObj } from '../../../utils/data-utils';
+import { getStaticFilter } from './combobox.utils';
+
+// ========================================================
+// START: JSDoc type definitions
+
+/**
+ * A page of options returned by a paged data-source (or `filter()`)
+ *
+ * @typedef TOptionPage
+ * @type {object}
+ *
+ * @property {Array} options List of options
+ * @property {any}   next    Token used to get the next page of
+ *                           options (`NULL` if there are no more
+ *                           options)
+ */
+
+/**
+ * Context passed to a data-source's `search()` method
+ *
+ * @typedef TSourceContext
+ * @type {object}
+ *
+ * @property {AbortSignal} signal Aborted when the result is no
+ *                                longer wanted
+ * @property {any}         next   (Paged sources only) token for the
+ *                                page to get (`undefined` for the
+ *                                first page)
+ */
+
+/**
+ * ComboboxInput data-source
+ *
+ * @typedef TComboboxSource
+ * @type {object}
+ *
+ * @property {string}   type   Type of source (`static`, `rest` or
+ *                             `paged`)
+ * @property {(query: string, context: TSourceContext) => Array|TOptionPage|Promise<Array|TOptionPage>} search
+ */
+
+/**
+ * Config for a REST data-source
+ *
+ * @typedef TRestSourceConfig
+ * @type {object}
+ *
+ * @property {string}   url          URL template. `{query}` (and any
+ *                                   other `{token}`) is replaced
+ *                                   with the URL encoded value
+ * @property {object}   [params]     Map of query-parameter names to
+ *                                   values. Values can be templates
+ *                                   (e.g. `'{query}'`) or functions
+ *                                   (called with the template
+ *                                   values). Parameters with empty
+ *                                   values are left out
+ * @property {string}   [path]       Dot separated path to the list of
+ *                                   items in the response body (e.g.
+ *                                   `data.PickListEntries`). If
+ *                                   empty, the body is the list
+ * @property {Function|object} [map] Converts a response item to an
+ *                                   option. Either a function or a
+ *                                   map of option property names to
+ *                                   item paths (e.g.
+ *                                   `{ value: 'id', label: 'name' }`)
+ * @property {number}   [minChars]   Minimum number of characters the
+ *                                   user must type before the API is
+ *                                   called [0]
+ * @property {object}   [init]       Extra `fetch()` options (e.g.
+ *                                   `headers`)
+ * @property {Function} [fetch]      `fetch()` implementation
+ *                                   [`globalThis.fetch`]
+ */
+
+//  END:  JSDoc type definitions
+// ========================================================
+// START: Helper functions
+
+/**
+ * Get a value from a (nested) object using a dot separated path
+ *
+ * @param {any}    data Object to get the value from
+ * @param {string} path Dot separated path (e.g. `data.items.0.id`)
+ *
+ * @returns {any} Value or `undefined` if the path doesn't exist
+ */
+export const getByPath = (data, path) => {
+  if (typeof path !== 'string' || path.trim() === '') {
+    return data;
+  }
+
+  let output = data;
+
+  for (const key of path.split('.')) {
+    if (output === null || typeof output !== 'object') {
+      return undefined;
+    }
+
+    output = output[key];
+  }
+
+  return output;
+};
+
+/**
+ * Replace `{token}`s in a template string
+ *
+ * @param {string}   template String with `{token}` placeholders
+ * @param {object}   values   Map of token names to values
+ * @param {Function} encode   Function used to encode each value
+ *
+ * @returns {string}
+ */
+export const fillTemplate = (template, values, encode = (value) => value) => template.replace(
+  /\{([a-z\d_]+)\}/gi,
+  (whole, key) => { // eslint-disable-line arrow-body-style
+    return (typeof values[key] !== 'undefined' && values[key] !== null)
+      ? encode(`${values[key]}`)
+      : '';
+  },
+);
+
+/**
+ * Build the URL for a REST request
+ *
+ * @param {string} url    URL template
+ * @param {object} params Map of query-parameter names to values (or
+ *                        templates or functions)
+ * @param {object} values Template values
+ *
+ * @returns {string}
+ */
+export const getSourceUrl = (url, params, values) => {
+  const output = fillTemplate(url, values, encodeURIComponent);
+  const query = new URLSearchParams();
+
+  if (isObj(params)) {
+    for (const key of Object.keys(params)) {
+      let value = params[key];
+
+      if (typeof value === 'function') {
+        value = value(values);
+      } else if (typeof value === 'string') {
+        value = fillTemplate(value, values);
+      }
+
+      if (typeof value !== 'undefined' && value !== null && value !== '') {
+        query.append(key, `${value}`);
+      }
+    }
+  }
+
+  const tmp = query.toString();
+
+  if (tmp === '') {
+    return output;
+  }
+
+  return (output.includes('?'))
+    ? `${output}&${tmp}`
+    : `${output}?${tmp}`;
+};
+
+/**
+ * Get a function that converts a response item to an option
+ *
+ * @param {Function|object|null} map Function or map of option
+ *                                   property names to item paths
+ *
+ * @returns {(item: any) => any}
+ */
+export const getItemMapper = (map) => {
+  if (typeof map === 'function') {
+    return map;
+  }
+
+  if (isObj(map)) {
+    return (item) => {
+      const output = {};
+
+      for (const key of Object.keys(map)) {
+        output[key] = getByPath(item, map[key]);
+      }
+
+      return output;
+    };
+  }
+
+  return (item) => item;
+};
+
+/**
+ * Get a function that fetches & decodes a JSON response
+ *
+ * @param {TRestSourceConfig} config REST source config
+ * @param {string}            name   Adapter name (for error
+ *                                   messages)
+ *
+ * @returns {(values: object, signal: AbortSignal) => Promise<any>}
+ */
+const getRequester = (config, name) => {
+  if (typeof config.url !== 'string' || config.url.trim() === '') {
+    throw new Error(
+      `${name}() expects \`url\` to be a non-empty string. `
+      + `${typeof config.url} given`,
+    );
+  }
+
+  return async (values, signal) => {
+    const _fetch = (typeof config.fetch === 'function')
+      ? config.fetch
+      : globalThis.fetch;
+
+    const response = await _fetch(
+      getSourceUrl(config.url, config.params, values),
+      { ...config.init, signal },
+    );
+
+    if (response.ok !== true) {
+      throw new Error(
+        `${name}() request failed with status ${response.status}`,
+      );
+    }
+
+    return response.json();
+  };
+};
+
+/**
+ * Get the list of items from a response body
+ *
+ * @param {any}    body Decoded response body
+ * @param {string} path Dot separated path to the list of items
+ *
+ * @returns {Array}
+ */
+const getItems = (body, path) => {
+  const output = getByPath(body, path);
+
+  return (Array.isArray(output))
+    ? output
+    : [];
+};
+
+//  END:  Helper functions
+// ========================================================
+// START: Adapters
+
+/**
+ * Get a data-source for a fixed list of options
+ *
+ * Options are matched (and ranked) locally using the ranked matching
+ * engine (see `getStaticFilter()`)
+ *
+ * @param {Array}  optionList List of options (strings, numbers or
+ *                            objects)
+ * @param {object} config     Matching config (see `rankOptions()`)
+ *
+ * @returns {TComboboxSource}
+ */
+export const staticSource = (optionList, config = {}) => {
+  if (!Array.isArray(optionList)) {
+    throw new Error(
+      'staticSource() expects first argument `optionList` to be an '
+      + `array. ${typeof optionList} given`,
+    );
+  }
+
+  return {
+    type: 'static',
+    search: getStaticFilter(optionList, config),
+  };
+};
+
+/**
+ * Get a data-source that gets options from a REST (JSON) API
+ *
+ * Template values available to `url` & `params` are `query` (the
+ * text the user typed)
+ *
+ * @param {TRestSourceConfig} config
+ *
+ * @returns {TComboboxSource}
+ */
+export const restSource = (config) => {
+  const request = getRequester(config, 'restSource');
+  const mapper = getItemMapper(config.map);
+  const minChars = (typeof config.minChars === 'number')
+    ? config.minChars
+    : 0;
+
+  return {
+    type: 'rest',
+    search: async (query, { signal } = {}) => {
+      if (query.trim().length < minChars) {
+        return [];
+      }
+
+      const body = await request({ query }, signal);
+
+      return getItems(body, config.path).map(mapper);
+    },
+  };
+};
+
+/**
+ * Get a data-source that gets options a page at a time from a REST
+ * (JSON) API
+ *
+ * As well as `TRestSourceConfig`, config can include:
+ * * `paging`    - How the API pages results. One of:
+ *   * `offset`  - [default] pages are requested using the number of
+ *                 items to skip (`{offset}`)
+ *   * `page`    - pages are requested using a page number
+ *                 (`{page}`, starting at `firstPage`)
+ *   * `cursor`  - pages are requested using a token returned with
+ *                 the previous page (`{cursor}`, found at
+ *                 `cursorPath` in the response body)
+ * * `pageSize`  - Number of options per page (`{limit}`) [25]
+ * * `firstPage` - (`page` paging only) number of the first page [1]
+ * * `cursorPath` - (`cursor` paging only) dot separated path to the
+ *                 next page's cursor in the response body
+ * * `totalPath` - (`offset` & `page` paging only) dot separated path
+ *                 to the total number of results. If not set, there
+ *                 are more options if a full page was returned
+ *
+ * Template values available to `url` & `params` are `query`,
+ * `limit` & one of `offset`, `page` or `cursor`
+ *
+ * @example
+ * ```js
+ * pagedSource({
+ *   url: '/api/people',
+ *   params: { q: '{query}', limit: '{limit}', after: '{cursor}' },
+ *   paging: 'cursor',
+ *   cursorPath: 'meta.next',
+ *   path: 'results',
+ * });
+ * ```
+ *
+ * @param {TRestSourceConfig} config
+ *
+ * @returns {TComboboxSource}
+ */
+export const pagedSource = (config) => {
+  const request = getRequester(config, 'pagedSource');
+  const mapper = getItemMapper(config.map);
+  const paging = (typeof config.paging === 'string')
+    ? config.paging
+    : 'offset';
+
+  if (['cursor', 'offset', 'page'].includes(paging) === false) {
+    throw new Error(
+      'pagedSource() expects `paging` to be "cursor", "offset" or '
+      + `"page". "${paging}" given`,
+    );
+  }
+
+  const limit = (typeof config.pageSize === 'number' && config.pageSize > 0)
+    ? config.pageSize
+    : 25;
+  const firstPage = (typeof config.firstPage === 'number')
+    ? config.firstPage
+    : 1;
+  const minChars = (typeof config.minChars === 'number')
+    ? config.minChars
+    : 0;
+
+  /**
+   * Get the template value for the requested page
+   *
+   * @param {any} next Token for the requested page
+   *
+   * @returns {object}
+   */
+  const getPageValues = (next) => {
+    const isFirst = (typeof next === 'undefined' || next === null);
+
+    switch (paging) {
+      case 'cursor':
+        return { cursor: (isFirst === true) ? '' : next };
+
+      case 'page':
+        return { page: (isFirst === true) ? firstPage : next };
+
+      default:
+        return { offset: (isFirst === true) ? 0 : next };
+    }
+  };
+
+  /**
+   * Get the token for the page after the one we just got
+   *
+   * @param {any}    body   Decoded response body
+   * @param {object} values Template values for the page we just got
+   * @param {number} count  Number of items on the page we just got
+   *
+   * @returns {any} Next page token (or `NULL` if there are no more
+   *                pages)
+   */
+  const getNext = (body, values, count) => {
+    if (paging === 'cursor') {
+      const cursor = getByPath(body, config.cursorPath);
+
+      return (typeof cursor !== 'undefined' && cursor !== null && cursor !== '')
+        ? cursor
+        : null;
+    }
+
+    const seen = (paging === 'page')
+      ? ((values.page - firstPage) * limit) + count
+      : values.offset + count;
+    const total = getByPath(body, config.totalPath);
+    const more = (typeof config.totalPath === 'string' && typeof total === 'number')
+      ? seen < total
+      : count >= limit;
+
+    if (more === false) {
+      return null;
+    }
+
+    return (paging === 'page')
+      ? values.page + 1
+      : seen;
+  };
+
+  return {
+    type: 'paged',
+    search: async (query, { next, signal } = {}) => {
+      if (query.trim().length < minChars) {
+        return { options: [], next: null };
+      }
+
+      const values = { ...getPageValues(next), limit, query };
+      const body = await request(values, signal);
+      const items = getItems(body, config.path);
+
+      return {
+        options: items.map(mapper),
+        next: getNext(body, values, items.length),
+      };
+    },
+  };
+};
+
+//  END:  Adapters
+// ========================================================
+// START: Public helper functions
+
+/**
+ * Check whether something is a data-source
+ *
+ * @param {any} input Value to be checked
+ *
+ * @returns {boolean}
+ */
+export const isSource = (input) => (isObj(input) && typeof input.search === 'function');
+
+/**
+ * Convert whatever a `filter()` or `search()` call returned into a
+ * page of options
+ *
+ * @param {Array|TOptionPage} response List or page of options
+ *
+ * @returns {TOptionPage|null} Page of options or `NULL` if
+ *                             `response` is neither a list nor a page
+ */
+export const getOptionPage = (response) => {
+  if (Array.isArray(response)) {
+    return { options: response, next: null };
+  }
+
+  if (isObj(response) && Array.isArray(response.options)) {
+    return {
+      options: response.options,
+      next: (typeof response.next !== 'undefined')
+        ? response.next
+        : null,
+    };
+  }
+
+  return null;
+};
+
+//  END:  Public helper functions
+// ========================================================
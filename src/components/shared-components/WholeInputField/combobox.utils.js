@@ -1,5 +1,6 @@
 import { isObj, isStrNum, nullStr } from '../../../utils/data-utils';
-import { getNormaliseSingleOption } from './radio-select.utils';
+import { foldChar } from '../../../utils/normalise-utils';
+import { normaliseWithMap, rankOptions } from './combobox-match.utils';
 
 /**
  * Get the data required to emit a combobox event.
@@ -36,16 +37,419 @@ export const getEmitData = (_options, _index, _str) => {
   };
 };
 
-export const defaultFilter = (optionList, value, options) => {
-  if (optionList.length > 0 && typeof value === 'string') {
-    const val = value.trim().toLocaleLowerCase();
+/**
+ * Get the data required to emit a combobox event when the combobox
+ * allows multiple options to be selected.
+ *
+ * @param {Array}   _selected List of selected options
+ * @param {boolean} _required Whether or not at least one option
+ *                            must be selected
+ *
+ * @returns {object}
+ */
+export const getMultiEmitData = (_selected, _required) => {
+  const rawOutput = _selected.map((option) => ({ ...option }));
+  const empty = (rawOutput.length === 0);
+  const bad = (empty === true && _required === true);
+
+  return {
+    output: rawOutput.map((option) => option.value),
+    validity: { valid: !bad, badInput: false, valueMissing: bad },
+    empty,
+    rawOutput,
+    bad,
+  };
+};
+
+/**
+ * Get an empty (valid) validity object
+ *
+ * @returns {object}
+ */
+const getValidValidity = () => ({
+  valid: true,
+  badInput: false,
+  customError: false,
+  rangeUnderflow: false,
+  valueMissing: false,
+});
+
+/**
+ * Check a list of selected values against ComboboxInput's built-in
+ * validation rules
+ *
+ * Rules are checked in order (`required`, `minSelections`,
+ * `allowedValues`) and only the first failure is reported
+ *
+ * @param {string[]} values List of selected (non-empty) values
+ * @param {object}   rules  Validation rules & messages:
+ *                          `required`, `requiredText`,
+ *                          `minSelections`, `minSelectionsText`
+ *                          (`%s` is replaced with `minSelections`),
+ *                          `allowedValues` & `invalidText`
+ *
+ * @returns {{validity: object, message: string}} Validity flags (in
+ *                   the same shape as `ValidityState`) and validation
+ *                   message (empty string if valid)
+ */
+export const validateSelection = (values, rules) => {
+  const validity = getValidValidity();
+  let message = '';
+
+  if (values.length === 0) {
+    if (rules.required === true) {
+      validity.valueMissing = true;
+      message = rules.requiredText;
+    }
+  } else if (typeof rules.minSelections === 'number' && values.length < rules.minSelections) {
+    validity.rangeUnderflow = true;
+    message = rules.minSelectionsText.replace('%s', rules.minSelections);
+  } else if (Array.isArray(rules.allowedValues)) {
+    const allowed = rules.allowedValues.map(nullStr);
+
+    if (values.some((value) => allowed.includes(value) === false)) {
+      validity.badInput = true;
+      message = rules.invalidText;
+    }
+  }
+
+  validity.valid = (message === '');
+
+  return { validity, message };
+};
+
+/**
+ * Convert the result of a custom `validator()` into validity flags
+ * and a validation message
+ *
+ * @param {any}    result      Value returned by the validator. `TRUE`,
+ *                             an empty string, `NULL` or `undefined`
+ *                             mean the value is valid. `FALSE` means
+ *                             it's invalid. Any other string is used
+ *                             as the validation message.
+ * @param {string} invalidText Message to use when the validator
+ *                             returned `FALSE`
+ *
+ * @returns {{validity: object, message: string}}
+ */
+export const getCustomValidity = (result, invalidText) => {
+  const validity = getValidValidity();
+  let message = '';
+
+  if (result === false) {
+    message = invalidText;
+  } else if (typeof result === 'string') {
+    message = result.trim();
+  }
+
+  validity.customError = (message !== '');
+  validity.valid = (message === '');
+
+  return { validity, message };
+};
+
+/**
+ * Get the text used to represent an option in the combobox input
+ *
+ * @param {object} option Normalised option object
+ *
+ * @returns {string} option's label if it has one, otherwise its value
+ */
+export const getOptionText = (option) => { // eslint-disable-line arrow-body-style
+  return (typeof option.label === 'string' && option.label.trim() !== '')
+    ? option.label
+    : option.value;
+};
+
+/**
+ * Get a "Create “…”" pseudo-option that lets the user add the text
+ * they typed as a new option
+ *
+ * @param {string} str   Text the user typed
+ * @param {string} label Label template for the pseudo-option.
+ *                       (`%s` is replaced with the text the user
+ *                       typed)
+ *
+ * @returns {object}
+ */
+export const getCreateOption = (str, label) => ({
+  value: str,
+  label: label.replace('%s', str),
+  default: str,
+  icon: '',
+  __create: true,
+});
+
+/**
+ * Check whether an option is a "Create “…”" pseudo-option
+ *
+ * @param {any} option Option to be tested
+ *
+ * @returns {boolean}
+ */
+export const isCreateOption = (option) => (isObj(option) && option.__create === true);
+
+/**
+ * Find the best option to use for inline (type-ahead) autocompletion
+ *
+ * The best option is the first one whose label (or value if it has
+ * no label) starts with the text the user has typed (once both have
+ * been normalised the same way the option list is filtered).
+ *
+ * @param {Array}    optionList    Filtered list of options
+ * @param {string}   str           Text the user has typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {number} Index of the matched option or -1 if nothing
+ *                   could be matched
+ */
+export const getInlineMatch = (optionList, str, normaliseChar = foldChar) => {
+  if (typeof str !== 'string' || str === '') {
+    return -1;
+  }
+
+  const val = normaliseWithMap(str, normaliseChar).text;
+
+  if (val === '') {
+    return -1;
+  }
+
+  return optionList.findIndex((item) => (
+    isObj(item)
+    && isCreateOption(item) === false
+    && normaliseWithMap(getOptionText(item), normaliseChar).text.startsWith(val)
+  ));
+};
+
+/**
+ * Get the position in an option's label just after the part matched
+ * by the text the user typed (see `getInlineMatch()`)
+ *
+ * The typed text and the label may not be the same length (e.g.
+ * "strasse" & "Straße") so the position has to be worked out from
+ * the normalised label.
+ *
+ * @param {string}   label         Label of the inline match
+ * @param {string}   str           Text the user has typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {number} Position of the first character of the label
+ *                   that should be inserted as completion text
+ */
+export const getInlineEnd = (label, str, normaliseChar = foldChar) => {
+  const { ends } = normaliseWithMap(label, normaliseChar);
+  const len = normaliseWithMap(str, normaliseChar).text.length;
+  let output = (len > 0)
+    ? ends[len - 1]
+    : 0;
+
+  // If the user finished with a space (or punctuation), skip past the
+  // space (or punctuation) in the label too
+  if (normaliseChar(Array.from(str).pop()) === '') {
+    const chars = Array.from(label.substring(output));
+
+    for (const char of chars) {
+      if (normaliseChar(char) !== '') {
+        break;
+      }
+
+      output += char.length;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Find the option whose label or value exactly matches the supplied
+ * string (once both have been normalised the same way the option
+ * list is filtered)
+ *
+ * @param {Array}    optionList    List of options
+ * @param {string}   str           Text the user has typed
+ * @param {Function} normaliseChar Function that normalises a single
+ *                                 character
+ *
+ * @returns {number} Index of the matched option or -1 if nothing
+ *                   could be matched
+ */
+export const getExactMatch = (optionList, str, normaliseChar = foldChar) => {
+  if (typeof str !== 'string' || str.trim() === '') {
+    return -1;
+  }
+
+  const val = normaliseWithMap(str, normaliseChar).text;
+
+  if (val === '') {
+    return -1;
+  }
+
+  return optionList.findIndex((item) => (
+    isObj(item)
+    && isCreateOption(item) === false
+    && (normaliseWithMap(getOptionText(item), normaliseChar).text === val
+    || normaliseWithMap(item.value, normaliseChar).text === val)
+  ));
+};
+
+/**
+ * Get the group key for an option
+ *
+ * @param {object} option Normalised option object
+ *
+ * @returns {string} Group key (empty string if option is not in a
+ *                   group)
+ */
+const getGroupKey = (option) => { // eslint-disable-line arrow-body-style
+  return (isObj(option) && typeof option.group === 'string')
+    ? option.group.trim()
+    : '';
+};
+
+/**
+ * Get the order in which option groups should be rendered
+ *
+ * Ungrouped options always come first, followed by the groups listed
+ * in `groupLabels` (in the order they are listed) followed by any
+ * other groups in the order they first appear in the option list.
+ *
+ * @param {Array}  optionList  List of options
+ * @param {object} groupLabels Map of group keys to group headings
+ *
+ * @returns {string[]} List of group keys
+ */
+const getGroupOrder = (optionList, groupLabels) => {
+  const output = [''];
+
+  for (const key of Object.keys(groupLabels)) {
+    output.push(key);
+  }
+
+  for (const option of optionList) {
+    const key = getGroupKey(option);
+
+    if (output.includes(key) === false) {
+      output.push(key);
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Reorder a list of options so options in the same group are next to
+ * each other.
+ *
+ * This ensures that keyboard navigation (which works on option
+ * indexes) moves through options in the same order they are
+ * rendered.
+ *
+ * @param {Array}  optionList  List of options
+ * @param {object} groupLabels Map of group keys to group headings
+ *
+ * @returns {Array} Reordered list of options (or the original list
+ *                  if no option is in a group)
+ */
+export const sortByGroup = (optionList, groupLabels = {}) => {
+  if (optionList.some((option) => getGroupKey(option) !== '') === false) {
+    return optionList;
+  }
+
+  const order = getGroupOrder(optionList, groupLabels);
+
+  // Array.sort() is stable so options keep their relative order
+  // within each group
+  return [...optionList].sort(
+    (a, b) => order.indexOf(getGroupKey(a)) - order.indexOf(getGroupKey(b)),
+  );
+};
 
-    if (val !== '') {
-      return optionList.filter((item) => (
-        item.value.toLocaleLowerCase().includes(val)
-        || (typeof item.label)
-      ));
+/**
+ * Split a (group sorted) list of options into groups for rendering
+ *
+ * @param {Array}  optionList  List of options sorted by `sortByGroup()`
+ * @param {object} groupLabels Map of group keys to group headings
+ *
+ * @returns {Array<{key: string, label: string, options: Array<{option: object, index: number}>}>}
+ *          List of non-empty option groups. Each item in a group
+ *          includes its index within the full option list.
+ */
+export const getOptionGroups = (optionList, groupLabels = {}) => {
+  const output = [];
+  let group = null;
+
+  for (let a = 0; a < optionList.length; a += 1) {
+    const key = getGroupKey(optionList[a]);
+
+    if (group === null || group.key !== key) {
+      group = {
+        key,
+        label: (typeof groupLabels[key] === 'string')
+          ? groupLabels[key]
+          : key,
+        options: [],
+      };
+      output.push(group);
     }
+
+    group.options.push({ option: optionList[a], index: a });
+  }
+
+  return output;
+};
+
+/**
+ * Convert a `v-model`/`value` value into a list of option values
+ *
+ * @param {string|number|Array|null|undefined} input Model value
+ *
+ * @returns {string[]} List of (non-empty) option values
+ */
+export const modelToList = (input) => {
+  const tmp = (Array.isArray(input))
+    ? input
+    : [input];
+
+  return tmp.map(nullStr).filter((item) => item !== '');
+};
+
+/**
+ * Check whether two `v-model`/`value` values represent the same
+ * selection
+ *
+ * @param {string|number|Array|null|undefined} a First model value
+ * @param {string|number|Array|null|undefined} b Second model value
+ *
+ * @returns {boolean}
+ */
+export const sameModel = (a, b) => {
+  const _a = modelToList(a);
+  const _b = modelToList(b);
+
+  return (_a.length === _b.length && _a.every((item, i) => item === _b[i]));
+};
+
+/**
+ * Filter (and rank) the options we already have.
+ *
+ * This is the default `debounceFilter` for ComboboxInput. It uses
+ * the ranked matching engine (see `rankOptions()`) to match the
+ * text the user typed against each option's label, value and
+ * keywords.
+ *
+ * @param {Array}  optionList Full list of (normalised) options
+ * @param {string} value      Text the user typed
+ * @param {Array}  options    Currently displayed options (returned
+ *                            unchanged if there's nothing to filter)
+ * @param {object} config     Matching config (see `rankOptions()`)
+ *
+ * @returns {Array} Matched options, best matches first
+ */
+export const defaultFilter = (optionList, value, options, config = {}) => {
+  if (optionList.length > 0 && typeof value === 'string' && value.trim() !== '') {
+    return rankOptions(optionList, value, config);
   }
 
   return options;
@@ -55,6 +459,11 @@ export const defaultFilter = (optionList, value, options) => {
  * Get a function that returns a function that can be passed to
  * Array.map()
  *
+ * Objects may include an optional `keywords` property (a list of
+ * keywords/aliases, e.g. `['Canberra']` for the Australian Capital
+ * Territory) that are matched by the built-in filtering but never
+ * displayed.
+ *
  * @param {Function} func Item normaliser function
  *
  * @returns {Function} A function that wraps the supplied function
@@ -81,6 +490,26 @@ export const getOptionItem = (func) => (item) => {
         : '',
     });
 
+    if (typeof item.group !== 'undefined') {
+      _item.group = nullStr(item.group);
+    }
+
+    // Keywords (aliases) are matched by the built-in filtering but
+    // never displayed
+    if (typeof item.keywords !== 'undefined') {
+      _item.keywords = (Array.isArray(item.keywords))
+        ? item.keywords.map(nullStr).filter((keyword) => keyword.trim() !== '')
+        : [nullStr(item.keywords)].filter((keyword) => keyword.trim() !== '');
+    }
+
+    // Keep the results of ranked matching so they can be used for
+    // highlighting
+    if (Array.isArray(item.matches)) {
+      _item.matches = item.matches;
+      _item.score = item.score;
+      _item.matchedKeyword = nullStr(item.matchedKeyword);
+    }
+
     if (_item.value === '' || _item.label === '') {
       throw new Error(
         'getOptionItem() could not find a property name for either '
@@ -97,11 +526,165 @@ export const getOptionItem = (func) => (item) => {
   );
 };
 
+/**
+ * Get the first non-empty string (or number) property of an object
+ *
+ * @param {object}   item      Object to be checked
+ * @param {string[]} propNames Property names (in order of preference)
+ *
+ * @returns {string} Value of the first non-empty property (or empty
+ *                   string if none were found)
+ */
+const getFirstStrNum = (item, propNames) => {
+  for (let a = 0; a < propNames.length; a += 1) {
+    const tmp = nullStr(item[propNames[a]]);
+
+    if (tmp.trim() !== '') {
+      return tmp;
+    }
+  }
+
+  return '';
+};
+
+/**
+ * Make sure an option object has string `value` & `label` properties
+ *
+ * If an object has no value, its label is used as its value (and
+ * vice versa)
+ *
+ * @param {object} item Option object
+ *
+ * @returns {object}
+ */
+const normaliseOptionObject = (item) => {
+  const value = getFirstStrNum(item, ['value', 'id', 'key']);
+  const label = getFirstStrNum(item, ['label', 'name', 'text', 'title']);
+
+  return {
+    ...item,
+    value: (value !== '')
+      ? value
+      : label,
+    label: (label !== '')
+      ? label
+      : value,
+  };
+};
+
 export const getRawOptions = (optionlist) => optionlist.map(
-  getOptionItem(
-    getNormaliseSingleOption('', true),
-  ),
+  getOptionItem(normaliseOptionObject),
 );
 
 export const isPrintableCharacter = (str) => ((str.length === 1 && str.match(/\S| /))
   || ['Backspace', 'Delete'].includes(str));
+
+/**
+ * Default ComboboxInput keymap
+ *
+ * Keys are key combinations (see `getKeyCombo()`), values are the
+ * names of built-in keyboard actions
+ *
+ * @type {object}
+ */
+export const defaultKeymap = {
+  ArrowDown: 'next',
+  Down: 'next',
+  ArrowUp: 'previous',
+  Up: 'previous',
+  'Ctrl+ArrowDown': 'jumpNext',
+  'Ctrl+Down': 'jumpNext',
+  'Ctrl+ArrowUp': 'jumpPrevious',
+  'Ctrl+Up': 'jumpPrevious',
+  PageDown: 'pageNext',
+  PageUp: 'pagePrevious',
+  Home: 'first',
+  End: 'last',
+  Enter: 'commit',
+  Return: 'commit',
+  Escape: 'cancel',
+  Esc: 'cancel',
+  'Alt+ArrowDown': 'open',
+  'Alt+Down': 'open',
+  'Alt+ArrowUp': 'commitClose',
+  'Alt+Up': 'commitClose',
+  'Shift+Delete': 'removeRecent',
+};
+
+/**
+ * Get a keymap key combination string for a keyboard event
+ *
+ * Modifiers are always in the order `Ctrl`, `Alt`, `Shift`, `Meta`
+ * (e.g. "Ctrl+Shift+Backspace")
+ *
+ * @param {KeyboardEvent} event Keyboard event
+ *
+ * @returns {string}
+ */
+export const getKeyCombo = (event) => {
+  let output = '';
+
+  if (event.ctrlKey === true) {
+    output += 'Ctrl+';
+  }
+  if (event.altKey === true) {
+    output += 'Alt+';
+  }
+  if (event.shiftKey === true) {
+    output += 'Shift+';
+  }
+  if (event.metaKey === true) {
+    output += 'Meta+';
+  }
+
+  return output + event.key;
+};
+
+/**
+ * Find the keymap binding for a keyboard event
+ *
+ * If there is no binding for the exact key combination, Shift is
+ * ignored (so Shift+ArrowDown behaves like ArrowDown unless it has
+ * its own binding)
+ *
+ * @param {object}        keymap Merged keymap
+ * @param {KeyboardEvent} event  Keyboard event
+ *
+ * @returns {string|Function|null} Action name, custom action
+ *                   function or NULL if the key combination is not
+ *                   bound (or its binding has been disabled)
+ */
+export const getKeyBinding = (keymap, event) => {
+  const combo = getKeyCombo(event);
+  let output = keymap[combo];
+
+  if (typeof output === 'undefined' && event.shiftKey === true) {
+    output = keymap[combo.replace('Shift+', '')];
+  }
+
+  return (typeof output === 'function' || (typeof output === 'string' && output !== ''))
+    ? output
+    : null;
+};
+
+/**
+ * Get a `filter()` function for ComboboxInput that matches (and
+ * ranks) the user's input against a fixed list of options using the
+ * ranked matching engine.
+ *
+ * @param {Array}  optionList List of options (strings, numbers or
+ *                            objects)
+ * @param {object} config     Matching config (see `rankOptions()`)
+ *
+ * @returns {(str: string) => Array} Function that can be passed to
+ *                            ComboboxInput as the `filter` prop
+ */
+export const getStaticFilter = (optionList, config = {}) => {
+  const _options = getRawOptions(optionList);
+
+  return (str) => { // eslint-disable-line arrow-body-style
+    return (typeof str === 'string' && str.trim() !== '')
+      ? rankOptions(_options, str, config)
+      : _options;
+  };
+};
@@ -0,0 +1,2568 @@
+/**
+ * This file contains `useCombobox()`, a headless (no markup or
+ * styling) composable that owns all of the combobox's behaviour:
+ * the state machine (highlighted/selected options, whether the
+ * option list is shown), filtering (sync, async, local), keyboard
+ * handling, validation, form participation & the ARIA attributes
+ * that tie it all together.
+ *
+ * `ComboboxInput.vue` is built on top of it. It can also be used to
+ * build differently shaped UIs (e.g. a command palette or an inline
+ * tag input) by binding the returned prop bags to your own markup:
+ *
+ * ```vue
+ * <div ref="comboboxWrap" v-bind="rootProps">
+ *   <input ref="comboboxInput" v-bind="inputProps" />
+ *   <ul v-if="showList" ref="comboboxList" v-bind="listboxProps">
+ *     <li
+ *       v-for="(option, index) in options"
+ *       v-bind="getOptionProps(option, index)"
+ *       :key="option.value">{{ option.label }}</li>
+ *   </ul>
+ * </div>
+ * ```
+ *
+ * > __Note:__ The three template refs (`comboboxWrap`,
+ * >           `comboboxInput` & `comboboxList`) must be bound to
+ * >           the root, input & option list elements.
+ *
+ * @file use-combobox.js
+ */
+
+import {
+  computed,
+  onBeforeMount,
+  onMounted,
+  nextTick,
+  onUnmounted,
+  ref,
+  watch,
+} from 'vue';
+import { isObj } from '../../../utils/data-utils';
+import { getEpre } from '../../../utils/general-utils';
+import { getFauxInputEvent } from '../../../utils/event.utils';
+import { getCharNormaliser } from '../../../utils/normalise-utils';
+import { createQueryCache, isQueryCache } from './combobox-cache.utils';
+import { createHistory, isHistory } from './combobox-history.utils';
+import { getMatchRanges } from './combobox-match.utils';
+import { getOptionPage, isSource } from './combobox-source.utils';
+import {
+  defaultFilter,
+  defaultKeymap,
+  getCreateOption,
+  getCustomValidity,
+  getEmitData,
+  getExactMatch,
+  getInlineEnd,
+  getInlineMatch,
+  getMultiEmitData,
+  getOptionGroups,
+  getOptionText,
+  getKeyBinding,
+  getRawOptions,
+  isCreateOption,
+  isPrintableCharacter,
+  modelToList,
+  sameModel,
+  sortByGroup,
+  validateSelection,
+} from './combobox.utils';
+
+/**
+ * Default config for `useCombobox()`
+ *
+ * These are also the defaults of ComboboxInput's props (see
+ * `ComboboxInput.vue` for what each one does)
+ *
+ * @type {object}
+ */
+export const comboboxDefaults = {
+  allowedValues: null,
+  ariaLabel: undefined,
+  ariaLabelledby: undefined,
+  autoComplete: 'list',
+  autoSelect: false,
+  cache: false,
+  changeOn: 'commit',
+  creatable: false,
+  createLabel: 'Create “%s”',
+  createValidator: null,
+  debounceFilter: null,
+  debounceTime: 500,
+  describedbyIds: '',
+  fetchStrategy: 'throttle',
+  filter: null,
+  groupLabels: {},
+  highlightMatches: true,
+  history: false,
+  invalid: false,
+  invalidText: 'Please select a valid option',
+  itemHeight: 40,
+  jumpSize: 5,
+  keymap: {},
+  label: '',
+  loop: false,
+  minSelections: 0,
+  minSelectionsText: 'Please select at least %s options',
+  multiple: false,
+  normalise: {},
+  pageSize: 10,
+  placeholder: '',
+  recentLabel: 'Recent',
+  required: false,
+  requiredText: 'Please select an option',
+  source: null,
+  tabCommit: true,
+  validator: null,
+  value: '',
+  virtual: false,
+  virtualBuffer: 10,
+};
+
+/**
+ * Wrap the (reactive) config passed to `useCombobox()` so missing
+ * values fall back to `comboboxDefaults`
+ *
+ * @param {object} config Reactive config (e.g. a component's props)
+ *
+ * @returns {object}
+ */
+const withComboDefaults = (config) => new Proxy(config, {
+  get: (target, key) => ((typeof target[key] !== 'undefined')
+    ? target[key]
+    : comboboxDefaults[key]),
+});
+
+/**
+ * Get a function that creates something (e.g. a query cache) from a
+ * config object but only creates it again when the config's contents
+ * change
+ *
+ * Inline config objects (e.g. `:cache="{ ttl: 60000 }"`) are new
+ * objects every time the parent renders so comparing them by
+ * identity would throw away whatever was created each time.
+ *
+ * > __Note:__ Functions in the config are ignored when comparing
+ * >           configs (inline functions are new every render too)
+ *
+ * @param {Function} factory Function that takes a config object
+ *
+ * @returns {(config: object) => any}
+ */
+const memoiseOnConfig = (factory) => {
+  let lastKey = null;
+  let last = null;
+
+  return (config) => {
+    let key = null;
+
+    try {
+      key = JSON.stringify(config);
+    } catch {
+      // Configs we can't compare are always treated as new
+    }
+
+    if (key === null || key !== lastKey) {
+      lastKey = key;
+      last = factory(config);
+    }
+
+    return last;
+  };
+};
+
+/**
+ * Headless combobox
+ *
+ * @param {object}   config Reactive config object (usually a
+ *                          component's props). Must include `id` &
+ *                          either `filter()` or `source`. Everything
+ *                          else falls back to `comboboxDefaults`
+ * @param {Function} emit   Function used to emit events (`change`,
+ *                          `create`, `highlight`, `invalid` &
+ *                          `update:modelValue`)
+ *
+ * @returns {object} State, helpers, element prop bags (`rootProps`,
+ *                   `inputProps`, `listboxProps` &
+ *                   `getOptionProps()`), the template refs & the
+ *                   public `api` (`open()`, `close()`, `focus()`,
+ *                   `clear()`, `refresh()`, `setOptions()`,
+ *                   `getSelected()`, `highlight()` & `loadMore()`)
+ */
+export const useCombobox = (config, emit = () => {}) => {
+  const props = withComboDefaults(config);
+
+  // --------------------------------------------------
+  // START: Local state
+
+  let bod = null;
+  let bouncingFilter = null;
+  let filterController = null;
+  // `NULL` until we know whether `filter()` returns a Promise (until
+  // then, `fetchStrategy` is applied)
+  let filterIsAsync = null;
+  let filterRequestID = 0;
+  let filterTimer = null;
+  let firstTime = true;
+  let form = null;
+  let initialModel;
+  // Label of the option that was last committed (put back into the
+  // input field when the user cancels)
+  let activeLabel = '';
+  let lastInvalid = false;
+  let lastValidated = null;
+  let validationID = 0;
+  let lastFetch = 0;
+  let lastModel = '';
+  let modelSyncID = 0;
+  let pageQuery = '';
+  let pendingInline = false;
+  let pendingSubmit = false;
+
+  const getCache = memoiseOnConfig(createQueryCache);
+  const getHistory = memoiseOnConfig(createHistory);
+
+  const activeID = ref(undefined);
+  const activeVal = ref(undefined);
+  const comboboxInput = ref(null);
+  const comboboxList = ref(null);
+  const comboboxWrap = ref(null);
+  const ePre = ref(null);
+  const filterError = ref(null);
+  const filterStr = ref('');
+  const fetching = ref(false);
+  const hasFiltered = ref(false);
+  const listHeight = ref(240);
+  const listScrollTop = ref(0);
+  const loadingMore = ref(false);
+  const maxIndex = ref(-1);
+  const nextPage = ref(null);
+  const options = ref([]);
+  const rawOptions = ref([]);
+  const selectedIndex = ref(null);
+  const selectedOptions = ref([]);
+  const showingRecent = ref(false);
+  const showList = ref(false);
+  const touched = ref(false);
+  const validationMessage = ref('');
+  const validity = ref({ valid: true });
+
+  //  END:  Local state
+  // --------------------------------------------------
+  // START: pure helper functions
+
+  const getID = (block) => `${block}--${props.id}`;
+
+  /**
+   * Record the result of validation and pass it on to the input
+   * field (so `form.checkValidity()` and the `:invalid` CSS
+   * pseudo-class reflect it)
+   *
+   * @param {{validity: object, message: string}} result Validation
+   *                   result
+   *
+   * @returns {{validity: object, message: string}} Validation result
+   *                   (including `invalid` prop)
+   */
+  const setValidity = (result) => {
+    const output = { validity: { ...result.validity }, message: result.message };
+
+    if (props.invalid === true && output.validity.valid === true) {
+      output.validity.customError = true;
+      output.validity.valid = false;
+      output.message = props.invalidText;
+    }
+
+    validity.value = output.validity;
+    validationMessage.value = output.message;
+
+    if (comboboxInput.value !== null) {
+      comboboxInput.value.setCustomValidity(output.message);
+    }
+
+    return output;
+  };
+
+  /**
+   * Emit an `invalid` event (but only when the combobox becomes
+   * valid or invalid, not every time it is validated)
+   *
+   * @param {boolean} invalid Whether or not the combobox is invalid
+   *
+   * @returns {void}
+   */
+  const emitInvalid = (invalid) => {
+    if (invalid !== lastInvalid) {
+      lastInvalid = invalid;
+      emit('invalid', invalid);
+    }
+  };
+
+  /**
+   * Run the validation pipeline for the selected value(s)
+   *
+   * The built-in rules are checked first. If they pass (and something
+   * is selected) the custom `validator()` (if any) is called. If the
+   * validator is async, the built-in result is returned straight
+   * away and the validator's result is applied (and an `invalid`
+   * event emitted) when it resolves.
+   *
+   * @param {string[]}     values   List of selected (non-empty) values
+   * @param {object|Array} rawValue Selected option object(s)
+   * @param {boolean}      force    Whether or not to validate even if
+   *                                the values were the last ones
+   *                                validated
+   *
+   * @returns {{validity: object, message: string}} Validation result
+   */
+  const validate = (values, rawValue = null, force = false) => {
+    if (force === false && lastValidated !== null && sameModel(values, lastValidated)) {
+      return { validity: validity.value, message: validationMessage.value };
+    }
+
+    validationID += 1;
+    lastValidated = [...values];
+
+    const id = validationID;
+    const result = validateSelection(values, props);
+
+    if (result.validity.valid === false
+      || values.length === 0
+      || typeof props.validator !== 'function'
+    ) {
+      return setValidity(result);
+    }
+
+    const value = (props.multiple === true)
+      ? values
+      : values[0];
+    const tmp = props.validator(value, rawValue);
+
+    if (tmp instanceof Promise) {
+      tmp.then((response) => {
+        if (id === validationID) {
+          const custom = setValidity(getCustomValidity(response, props.invalidText));
+
+          emitInvalid(custom.validity.valid === false);
+        }
+      }).catch((error) => {
+        console.error(
+          `${ePre.value('validate')} validator failed `
+          + `with error: "${error}"`,
+        );
+      });
+
+      return setValidity(result);
+    }
+
+    return setValidity(getCustomValidity(tmp, props.invalidText));
+  };
+
+  /**
+   * Emit an `update:modelValue` event (for `v-model`) and remember what
+   * was emitted so we don't try to re-sync when the parent passes the
+   * same value back down.
+   *
+   * @param {string|string[]} output Value(s) of the selected option(s)
+   *
+   * @returns {void}
+   */
+  const emitModel = (output) => {
+    lastModel = (Array.isArray(output))
+      ? [...output]
+      : output;
+
+    emit('update:modelValue', output);
+  };
+
+  /**
+   * Emit a change event with relevant data (and an invalid event if
+   * the combobox became valid or invalid)
+   *
+   * Checks whether there is a currently selected item
+   *
+   * @param {Array}  _options Filtered list of options
+   * @param {number} _index   Index of the currently selected option
+   * @param {string} _str     Current filter string (in the input box)
+   * @param {HTMLInputElement|null} _input Used to set the value of the
+   *                          input field if not null
+   * @param {boolean} _close  Whether or not to put the option's label
+   *                          into the input field (and focus it)
+   * @param {boolean} _commit Whether or not the user committed the
+   *                          option (rather than just highlighting
+   *                          it). Only committed options are
+   *                          remembered by `history`
+   *
+   * @returns {void}
+   */
+  const emitChange = (_options, _index, _str, _input = null, _close = false, _commit = _close) => {
+    if (isCreateOption(_options[_index])) {
+      // "Create “…”" pseudo-option has been highlighted. Nothing has
+      // been chosen yet so there's nothing to emit
+      activeID.value = `${getID('item')}--${_index}`;
+      activeVal.value = undefined;
+      return;
+    }
+
+    const {
+      rawOutput,
+      bad,
+      output,
+    } = getEmitData(_options, _index, _str);
+
+    if (_close === true) {
+      // Update the value in the input field
+      _input.value = (bad === true) // eslint-disable-line no-param-reassign
+        ? ''
+        : rawOutput.label;
+      // reset the focus to the input field
+      _input.focus();
+    }
+
+    activeID.value = (bad === true)
+      ? undefined
+      : `${getID('item')}--${_index}`;
+    activeVal.value = (bad === true)
+      ? undefined
+      : output;
+    activeLabel = (bad === true)
+      ? ''
+      : rawOutput.label;
+    touched.value = true;
+
+    if (_commit === true && bad === false && selectionHistory.value !== null) {
+      selectionHistory.value.record(rawOutput);
+    }
+
+    const result = validate(modelToList(output), rawOutput);
+
+    emit(
+      'change',
+      getFauxInputEvent(
+        output,
+        rawOutput,
+        result.validity,
+        { validationMessage: result.message },
+      ),
+    );
+    emitModel(output);
+    emitInvalid(result.validity.valid === false);
+  };
+
+  /**
+   * Emit a `highlight` event for the option at the supplied index
+   *
+   * @param {number} index Index of the highlighted option
+   *
+   * @returns {void}
+   */
+  const emitHighlight = (index) => {
+    const option = options.value[index];
+    const ok = (isObj(option) && isCreateOption(option) === false);
+
+    emit('highlight', {
+      type: 'highlight',
+      index,
+      value: (ok === true)
+        ? option.value
+        : '',
+      option: (ok === true)
+        ? { ...option }
+        : null,
+    });
+  };
+
+  /**
+   * Emit a change event with the list of all the selected options
+   * (and an invalid event if the combobox became valid or invalid)
+   * for multi-select comboboxes
+   *
+   * @returns {void}
+   */
+  const emitMultiChange = () => {
+    const { rawOutput, output } = getMultiEmitData(selectedOptions.value, props.required);
+
+    touched.value = true;
+
+    const result = validate(output, rawOutput);
+
+    emit(
+      'change',
+      getFauxInputEvent(
+        output,
+        rawOutput,
+        result.validity,
+        { validationMessage: result.message },
+      ),
+    );
+    emitModel(output);
+    emitInvalid(result.validity.valid === false);
+  };
+
+  //  END:  pure helper functions
+  // --------------------------------------------------
+  // START: Computed properties
+
+  /**
+   * Whether or not the combobox should be shown as invalid
+   *
+   * Failed validation is only shown once the user has committed a
+   * value or left the field (unless `invalid` is `TRUE`)
+   *
+   * @returns {boolean}
+   */
+  const _invalid = computed(() => (props.invalid === true
+    || (touched.value === true && validity.value.valid === false)));
+
+  /**
+   * Whether or not the option list popup can ever be shown
+   *
+   * @returns {boolean}
+   */
+  const listAllowed = computed(() => (props.autoComplete !== 'none'));
+
+  /**
+   * Whether or not the option list popup is shown while the user is
+   * typing
+   *
+   * @returns {boolean}
+   */
+  const listOnType = computed(() => (props.autoComplete === 'list' || props.autoComplete === 'both'));
+
+  /**
+   * Whether or not the rest of the best matching option's label is
+   * inserted after the caret while the user is typing
+   *
+   * @returns {boolean}
+   */
+  const inlineOnType = computed(() => (props.autoComplete === 'inline' || props.autoComplete === 'both'));
+
+  /**
+   * Filtered options split into (non-empty) groups for rendering
+   *
+   * @returns {Array}
+   */
+  const optionGroups = computed(() => { // eslint-disable-line arrow-body-style
+    return (showingRecent.value === true)
+      ? [{
+        key: 'recent',
+        label: props.recentLabel,
+        options: options.value.map((option, index) => ({ option, index })),
+      }]
+      : getOptionGroups(options.value, props.groupLabels);
+  });
+
+  /**
+   * History of the options the user chose (`NULL` if history is
+   * turned off)
+   *
+   * @returns {object|null}
+   */
+  const selectionHistory = computed(() => {
+    if (isHistory(props.history)) {
+      return props.history;
+    }
+
+    const key = `combobox-history--${props.id}`;
+
+    if (isObj(props.history)) {
+      return getHistory({ key, ...props.history });
+    }
+
+    return (props.history === true)
+      ? getHistory({ key })
+      : null;
+  });
+
+  /**
+   * Start (inclusive) and end (exclusive) indexes of the options that
+   * should be rendered when `virtual` is `TRUE`
+   *
+   * @returns {{start: number, end: number}}
+   */
+  const virtualRange = computed(() => {
+    const l = options.value.length;
+
+    if (props.virtual === false) {
+      return { start: 0, end: l };
+    }
+
+    const first = Math.floor(listScrollTop.value / props.itemHeight);
+    const visible = Math.ceil(listHeight.value / props.itemHeight);
+
+    return {
+      start: Math.max(0, first - props.virtualBuffer),
+      end: Math.min(l, first + visible + props.virtualBuffer),
+    };
+  });
+
+  /**
+   * Options to be rendered when `virtual` is `TRUE`. Each item
+   * includes its index within the full option list.
+   *
+   * @returns {Array<{option: object, index: number}>}
+   */
+  const virtualItems = computed(() => {
+    const { start, end } = virtualRange.value;
+
+    return options.value.slice(start, end).map((option, a) => ({
+      option,
+      index: start + a,
+    }));
+  });
+
+  /**
+   * The value the parent has bound to the component
+   * (`modelValue` takes precedence over `value`)
+   *
+   * @returns {string|string[]}
+   */
+  const boundValue = computed(() => { // eslint-disable-line arrow-body-style
+    return (typeof props.modelValue !== 'undefined')
+      ? props.modelValue
+      : props.value;
+  });
+
+  /**
+   * Value(s) to be submitted with the parent form
+   *
+   * @returns {string[]}
+   */
+  const formValues = computed(() => {
+    if (props.multiple === true) {
+      return selectedOptions.value.map((option) => option.value);
+    }
+
+    return (typeof activeVal.value === 'string')
+      ? [activeVal.value]
+      : [''];
+  });
+
+  /**
+   * Selected option(s) for the current value(s)
+   *
+   * @returns {object|object[]|null}
+   */
+  const selectedRaw = computed(() => {
+    if (props.multiple === true) {
+      return selectedOptions.value.map((option) => ({ ...option }));
+    }
+
+    const option = rawOptions.value.find((item) => item.value === activeVal.value);
+
+    return (isObj(option))
+      ? { ...option }
+      : null;
+  });
+
+  /**
+   * IDs of the elements that describe the input field
+   *
+   * @returns {string|undefined}
+   */
+  const describedBy = computed(() => {
+    const output = props.describedbyIds.trim().split(/\s+/).filter((id) => id !== '');
+
+    if (_invalid.value === true && validationMessage.value !== '') {
+      output.push(getID('error'));
+    }
+
+    return (output.length > 0)
+      ? output.join(' ')
+      : undefined;
+  });
+
+  /**
+   * Whether or not there is another page of options to get for the
+   * text the user typed
+   *
+   * @returns {boolean}
+   */
+  const hasMore = computed(() => nextPage.value !== null);
+
+  /**
+   * What the option list popup should be showing
+   *
+   * * `loading` - waiting for an async `filter()` call to resolve
+   * * `error`   - the last `filter()` call failed
+   * * `empty`   - the last `filter()` call returned no options
+   * * `options` - there are options to show
+   *
+   * @returns {string}
+   */
+  const listState = computed(() => {
+    if (fetching.value === true) {
+      return 'loading';
+    }
+
+    if (filterError.value !== null) {
+      return 'error';
+    }
+
+    return (hasFiltered.value === true && options.value.length === 0)
+      ? 'empty'
+      : 'options';
+  });
+
+  /**
+   * Function used to normalise each character before matching
+   *
+   * @returns {Function}
+   */
+  const charNormaliser = computed(() => getCharNormaliser(props.normalise));
+
+  /**
+   * Cache for `filter()` (or data-source) results (`NULL` if caching
+   * is turned off)
+   *
+   * @returns {object|null}
+   */
+  const queryCache = computed(() => {
+    if (isQueryCache(props.cache)) {
+      return props.cache;
+    }
+
+    if (isObj(props.cache)) {
+      return getCache({ normalise: props.normalise, ...props.cache });
+    }
+
+    return (props.cache === true)
+      ? getCache({ normalise: props.normalise })
+      : null;
+  });
+
+  /**
+   * Default keymap merged with the user's custom bindings
+   *
+   * @returns {object}
+   */
+  const keymap = computed(() => ({ ...defaultKeymap, ...props.keymap }));
+
+  /**
+   * Tab index for the option list & its options
+   *
+   * @returns {number}
+   */
+  const listTabIndex = computed(() => { // eslint-disable-line arrow-body-style
+    return (props.tabCommit === true)
+      ? -1
+      : 0;
+  });
+
+  const getPlaceHolder = computed(() => { // eslint-disable-line arrow-body-style
+    return (typeof props.placeholder !== 'string' || props.placeholder.trim() === '')
+      ? undefined
+      : props.placeholder;
+  });
+
+  //  END:  Computed properties
+  // --------------------------------------------------
+  // START: Local methods
+
+  /**
+   * Check whether an option should be marked as selected in the
+   * option list
+   *
+   * @param {object} option Option being rendered
+   * @param {number} index  Index of the option in the filtered list
+   *
+   * @returns {boolean}
+   */
+  const isSelected = (option, index) => { // eslint-disable-line arrow-body-style
+    return (props.multiple === true)
+      ? selectedOptions.value.some((item) => item.value === option.value)
+      : selectedIndex.value === index;
+  };
+
+  /**
+   * Get the ranges of an option's label that should be highlighted
+   *
+   * @param {object} option Option being rendered
+   *
+   * @returns {Array}
+   */
+  const getItemMatches = (option) => {
+    if (props.highlightMatches === false || isCreateOption(option)) {
+      return [];
+    }
+
+    return (Array.isArray(option.matches))
+      ? option.matches
+      : getMatchRanges(getOptionText(option), filterStr.value, charNormaliser.value);
+  };
+
+  /**
+   * Record the current scroll position and size of the option list
+   * so we know which options to render when `virtual` is `TRUE`
+   *
+   * @returns {void}
+   */
+  const measureList = () => {
+    const list = comboboxList.value;
+
+    if (list !== null) {
+      listScrollTop.value = list.scrollTop;
+
+      if (list.clientHeight > 0) {
+        listHeight.value = list.clientHeight;
+      }
+    }
+  };
+
+  /**
+   * Scroll the option list so the option at the supplied index is
+   * visible (and, when `virtual` is `TRUE`, rendered so
+   * `aria-activedescendant` points to an element that exists)
+   *
+   * @param {number|null} index Index of the option to be made visible
+   *
+   * @returns {void}
+   */
+  const scrollToIndex = (index) => {
+    const list = comboboxList.value;
+
+    if (list === null || index === null) {
+      return;
+    }
+
+    if (props.virtual === false) {
+      const item = document.getElementById(`${getID('item')}--${index}`);
+
+      if (item !== null && typeof item.scrollIntoView === 'function') {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+      return;
+    }
+
+    measureList();
+
+    const top = index * props.itemHeight;
+    const bottom = top + props.itemHeight;
+
+    if (top < listScrollTop.value) {
+      list.scrollTop = top;
+    } else if (bottom > listScrollTop.value + listHeight.value) {
+      list.scrollTop = bottom - listHeight.value;
+    }
+
+    listScrollTop.value = list.scrollTop;
+  };
+
+  /**
+   * Point `aria-activedescendant` at the currently highlighted option
+   * without changing the selection
+   *
+   * @returns {void}
+   */
+  const setActiveDescendant = () => {
+    activeID.value = (selectedIndex.value !== null)
+      ? `${getID('item')}--${selectedIndex.value}`
+      : undefined;
+  };
+
+  /**
+   * Add an option to (or remove it from) the list of selected options
+   * of a multi-select combobox
+   *
+   * @param {object}  option  Option to be toggled
+   * @param {boolean} refocus Whether or not to move focus back to
+   *                          the input field
+   *
+   * @returns {void}
+   */
+  const toggleSelected = (option, refocus = true) => {
+    if (selectedOptions.value.some((item) => item.value === option.value)) {
+      selectedOptions.value = selectedOptions.value.filter(
+        (item) => item.value !== option.value,
+      );
+    } else {
+      selectedOptions.value = [...selectedOptions.value, option];
+
+      if (selectionHistory.value !== null) {
+        selectionHistory.value.record(option);
+      }
+    }
+
+    // Clear the filter text so the user can start looking for the
+    // next option
+    filterStr.value = '';
+    comboboxInput.value.value = '';
+
+    if (refocus === true) {
+      comboboxInput.value.focus();
+    }
+
+    emitMultiChange();
+  };
+
+  /**
+   * Remove an option from the list of selected options of a
+   * multi-select combobox
+   *
+   * @param {string} value Value of the option to be removed
+   *
+   * @returns {void}
+   */
+  const removeSelected = (value) => {
+    const l = selectedOptions.value.length;
+
+    selectedOptions.value = selectedOptions.value.filter(
+      (item) => item.value !== value,
+    );
+
+    if (selectedOptions.value.length !== l) {
+      emitMultiChange();
+    }
+  };
+
+  /**
+   * When in `both` mode, put the label of the highlighted option into
+   * the input field (as per the WAI-ARIA APG "both" example)
+   *
+   * @returns {void}
+   */
+  const syncInputToHighlight = () => {
+    if (props.autoComplete === 'both'
+      && selectedIndex.value !== null
+      && isObj(options.value[selectedIndex.value])
+    ) {
+      comboboxInput.value.value = getOptionText(options.value[selectedIndex.value]);
+    }
+  };
+
+  /**
+   * Check whether the input field currently contains inline
+   * autocomplete text that has not yet been accepted by the user
+   *
+   * @returns {boolean}
+   */
+  const hasInlineCompletion = () => {
+    const input = comboboxInput.value;
+
+    return (inlineOnType.value === true
+      && input !== null
+      && input.value !== filterStr.value
+      && input.selectionStart === filterStr.value.length
+      && input.selectionEnd === input.value.length);
+  };
+
+  /**
+   * Insert the rest of the best matching option's label after the
+   * caret (as a selected range so the next key press replaces it)
+   *
+   * When in `both` mode the matching option is also highlighted in
+   * the option list.
+   *
+   * @returns {void}
+   */
+  const completeInline = () => {
+    if (pendingInline === false) {
+      return;
+    }
+
+    pendingInline = false;
+
+    const input = comboboxInput.value;
+    const str = filterStr.value;
+    const index = getInlineMatch(options.value, str, charNormaliser.value);
+
+    selectedIndex.value = (index > -1)
+      ? index
+      : null;
+    activeID.value = (index > -1 && showList.value === true)
+      ? `${getID('item')}--${index}`
+      : undefined;
+
+    // Only insert the completion text if the user hasn't typed
+    // anything else since the filter was called
+    if (index > -1 && input !== null && input.value === str) {
+      const txt = getOptionText(options.value[index]);
+
+      input.value = str + txt.substring(getInlineEnd(txt, str, charNormaliser.value));
+      input.setSelectionRange(str.length, input.value.length);
+    }
+  };
+
+  /**
+   * Get the value of the option the user has implicitly chosen when
+   * no option has been explicitly highlighted in the option list.
+   *
+   * * In `none` mode, this is the option that exactly matches the
+   *   text in the input field.
+   * * In `inline` & `both` modes, this is the option that was used to
+   *   autocomplete the text in the input field.
+   *
+   * @returns {string} Value of the matched option or empty string if
+   *                   no option could be matched
+   */
+  const getImplicitValue = () => {
+    const index = (props.autoComplete === 'none')
+      ? getExactMatch(options.value, comboboxInput.value.value, charNormaliser.value)
+      : selectedIndex.value;
+
+    return (index !== null && index > -1 && isObj(options.value[index]))
+      ? options.value[index].value
+      : '';
+  };
+
+  /**
+   * Highlight the option at the supplied index
+   *
+   * All keyboard navigation goes through here so the option list is
+   * scrolled and (if appropriate) events are emitted the same way
+   * regardless of how the option was reached.
+   *
+   * @param {number} index Index of the option to be highlighted
+   *                       (clamped to the list of options)
+   *
+   * @returns {void}
+   */
+  const highlight = (index) => {
+    if (maxIndex.value === -1) {
+      return;
+    }
+
+    selectedIndex.value = Math.min(Math.max(index, 0), maxIndex.value);
+
+    if (props.multiple === false && props.changeOn === 'highlight') {
+      emitChange(options.value, selectedIndex.value, filterStr.value, comboboxInput.value);
+    } else {
+      setActiveDescendant();
+    }
+
+    emitHighlight(selectedIndex.value);
+
+    if (props.multiple === false) {
+      syncInputToHighlight();
+    }
+  };
+
+  /**
+   * Get the number of options to move the highlight by for
+   * PageUp/PageDown
+   *
+   * @returns {number}
+   */
+  const getPageSize = () => {
+    if (props.pageSize !== 'auto') {
+      return props.pageSize;
+    }
+
+    const list = comboboxList.value;
+    const item = (list !== null)
+      ? list.querySelector('[role="option"]')
+      : null;
+    const rowHeight = (item !== null && item.offsetHeight > 0)
+      ? item.offsetHeight
+      : props.itemHeight;
+    const height = (list !== null && list.clientHeight > 0)
+      ? list.clientHeight
+      : listHeight.value;
+
+    return Math.max(1, Math.floor(height / rowHeight));
+  };
+
+  const decrement = (step = 1) => {
+    if (maxIndex.value > -1) {
+      if (selectedIndex.value === null) {
+        highlight(maxIndex.value);
+      } else {
+        const newVal = selectedIndex.value - step;
+
+        highlight((newVal < 0 && props.loop === true)
+          ? maxIndex.value
+          : newVal);
+      }
+    }
+  };
+
+  const increment = (step = 1) => {
+    if (maxIndex.value > -1) {
+      if (selectedIndex.value === null) {
+        highlight(-1 + step);
+      } else {
+        const newVal = selectedIndex.value + step;
+
+        highlight((newVal > maxIndex.value && props.loop === true)
+          ? 0
+          : newVal);
+      }
+    }
+  };
+
+  /**
+   * Append a "Create “…”" pseudo-option to the list of options if the
+   * user is allowed to create a new option from the text they typed
+   *
+   * @param {Array} optionList Filtered list of options
+   *
+   * @returns {Array} Option list (with pseudo-option if appropriate)
+   */
+  const withCreateOption = (optionList) => {
+    const str = filterStr.value.trim();
+
+    if (props.creatable === false
+      || str === ''
+      || getExactMatch(optionList, str, charNormaliser.value) > -1
+      || (typeof props.createValidator === 'function' && props.createValidator(str) !== true)
+    ) {
+      return optionList;
+    }
+
+    return [...optionList, getCreateOption(str, props.createLabel)];
+  };
+
+  /**
+   * Add a newly created option to the list of options and select it
+   *
+   * @param {string|object} newOption New option (as confirmed by the
+   *                                  parent)
+   *
+   * @returns {void}
+   */
+  const addCreatedOption = (newOption) => {
+    const [option] = getRawOptions([newOption]);
+
+    rawOptions.value = [
+      ...rawOptions.value.filter((item) => item.value !== option.value),
+      option,
+    ];
+    options.value = sortByGroup(rawOptions.value, props.groupLabels);
+    maxIndex.value = (options.value.length - 1);
+
+    if (props.multiple === true) {
+      toggleSelected(option);
+    } else {
+      selectedIndex.value = options.value.findIndex((item) => item.value === option.value);
+      filterStr.value = getOptionText(option);
+      emitChange(
+        options.value,
+        selectedIndex.value,
+        filterStr.value,
+        comboboxInput.value,
+        true,
+      );
+    }
+
+    showList.value = false;
+  };
+
+  /**
+   * Find the options matching a list of values.
+   *
+   * Options that are already known are used as is. For the rest,
+   * `filter()` is called with the value and the option with a
+   * matching value is used. If no option can be found, a new option
+   * is made using the value as its label.
+   *
+   * @param {string[]} values List of option values
+   *
+   * @returns {Promise<object[]>}
+   */
+  const resolveOptions = async (values) => {
+    const known = [...selectedOptions.value, ...rawOptions.value];
+    const output = [];
+
+    for (const value of values) {
+      let option = known.find((item) => item.value === value);
+
+      if (typeof option === 'undefined') {
+        try {
+          const tmp = getOptionPage(await callFilter(value)); // eslint-disable-line no-await-in-loop
+
+          if (tmp !== null) {
+            option = getRawOptions(tmp.options).find((item) => item.value === value);
+          }
+        } catch (error) {
+          console.error(
+            `${ePre.value('resolveOptions')} filter fetch failed `
+            + `with error: "${error}"`,
+          );
+        }
+      }
+
+      output.push((isObj(option))
+        ? option
+        : getRawOptions([value])[0]);
+    }
+
+    return output;
+  };
+
+  /**
+   * Update the combobox's state to match a value supplied by the
+   * parent (via `v-model` or `value`) without emitting anything.
+   *
+   * @param {string|string[]} value New value supplied by the parent
+   *
+   * @returns {Promise<void>}
+   */
+  const syncFromModel = async (value) => {
+    modelSyncID += 1;
+    const syncID = modelSyncID;
+    const values = modelToList(value);
+
+    lastModel = (Array.isArray(value))
+      ? [...value]
+      : value;
+
+    const found = (values.length > 0)
+      ? await resolveOptions(values)
+      : [];
+
+    if (syncID !== modelSyncID) {
+      // The parent has changed the value again while we were looking
+      // for the matching options
+      return;
+    }
+
+    if (props.multiple === true) {
+      selectedOptions.value = found;
+      filterStr.value = '';
+      comboboxInput.value.value = '';
+      return;
+    }
+
+    if (found.length === 0) {
+      selectedIndex.value = null;
+      activeID.value = undefined;
+      activeVal.value = undefined;
+      activeLabel = '';
+      filterStr.value = '';
+      comboboxInput.value.value = '';
+      return;
+    }
+
+    const [option] = found;
+
+    if (rawOptions.value.some((item) => item.value === option.value) === false) {
+      rawOptions.value = [...rawOptions.value, option];
+    }
+
+    options.value = sortByGroup(rawOptions.value, props.groupLabels);
+    maxIndex.value = (options.value.length - 1);
+    selectedIndex.value = options.value.findIndex((item) => item.value === option.value);
+    activeID.value = `${getID('item')}--${selectedIndex.value}`;
+    activeVal.value = option.value;
+    filterStr.value = getOptionText(option);
+    activeLabel = filterStr.value;
+    comboboxInput.value.value = filterStr.value;
+  };
+
+  /**
+   * Emit a `create` event so the parent can decide whether or not to
+   * add a new option using the text the user typed
+   *
+   * @returns {void}
+   */
+  const requestCreate = () => {
+    const str = filterStr.value.trim();
+
+    emit('create', {
+      type: 'create',
+      value: str,
+      confirm: (newOption = str) => { addCreatedOption(newOption); },
+    });
+  };
+
+  const setOptions = (optionList) => {
+    showingRecent.value = false;
+    rawOptions.value = (selectionHistory.value !== null)
+      ? selectionHistory.value.boost(getRawOptions(optionList))
+      : getRawOptions(optionList);
+    options.value = withCreateOption(sortByGroup(rawOptions.value, props.groupLabels));
+    maxIndex.value = (options.value.length - 1);
+
+    let ok = true;
+    let output = null;
+
+    if (optionList.length === 1 && props.autoSelect === true) {
+      selectedIndex.value = 0;
+      output = [...optionList];
+    } else if (optionList.length === 0) {
+      ok = false;
+    }
+
+    if (props.multiple === false
+      && (output !== null || (ok === false && props.changeOn === 'highlight'))
+    ) {
+      // Only an auto-selected option was committed by the user
+      emitChange(
+        options.value,
+        selectedIndex.value,
+        filterStr.value,
+        comboboxInput.value,
+        false,
+        (output !== null),
+      );
+    }
+
+    completeInline();
+  };
+
+  /**
+   * Get options for the text the user typed from the data-source (if
+   * `source` is set) or from `filter()`
+   *
+   * @param {string}  str     Text to get options for
+   * @param {object}  context Context passed to `filter()` (or the
+   *                          data-source's `search()` method)
+   * @param {boolean} force   Whether or not to ignore any cached
+   *                          result
+   *
+   * @returns {Array|object|Promise<Array|object>} List (or page) of
+   *                          options or a Promise that resolves to a
+   *                          list (or page) of options
+   */
+  const callFilter = (str, context = {}, force = false) => {
+    let loader = null;
+
+    if (isSource(props.source)) {
+      loader = (query, context) => props.source.search(query, context);
+    } else if (typeof props.filter === 'function') {
+      loader = props.filter;
+    } else {
+      throw new Error(
+        `${ePre.value('callFilter')} expects either \`filter\` or `
+        + '`source` to be set',
+      );
+    }
+
+    return (queryCache.value !== null)
+      ? queryCache.value.fetch(str, context, loader, force)
+      : loader(str, context);
+  };
+
+  /**
+   * Whether or not the options for the supplied text are already
+   * cached
+   *
+   * @param {string} str Text to get options for
+   *
+   * @returns {boolean}
+   */
+  const isCached = (str) => (queryCache.value !== null && queryCache.value.has(str));
+
+  const setOptionsThen = (response) => {
+    const page = getOptionPage(response);
+
+    if (page === null) {
+      throw new Error(
+        `${ePre.value('setOptionsThen')} expects \`filter\` to resolve `
+        + `to an array or a page of options. ${typeof response} returned`,
+      );
+    }
+
+    fetching.value = false;
+    nextPage.value = page.next;
+
+    setOptions(page.options);
+  };
+
+  /**
+   * Filter the options we already have (using `debounceFilter`) while
+   * we wait for `filter()` to be called
+   *
+   * @param {string} str Current filter string
+   *
+   * @returns {void}
+   */
+  const filterLocally = (str) => {
+    options.value = withCreateOption(sortByGroup(
+      bouncingFilter(
+        rawOptions.value,
+        str,
+        options.value.filter((option) => isCreateOption(option) === false),
+        { normaliseChar: charNormaliser.value },
+      ),
+      props.groupLabels,
+    ));
+    maxIndex.value = (options.value.length - 1);
+    completeInline();
+  };
+
+  /**
+   * Cancel any scheduled `filter()` call and abort any `filter()` call
+   * that has not yet resolved.
+   *
+   * @returns {void}
+   */
+  const abortFilter = () => {
+    if (filterTimer !== null) {
+      clearTimeout(filterTimer);
+      filterTimer = null;
+    }
+
+    if (filterController !== null) {
+      filterController.abort();
+      filterController = null;
+    }
+
+    fetching.value = false;
+    loadingMore.value = false;
+    nextPage.value = null;
+  };
+
+  /**
+   * Call `filter()` and put the options it returns into the option
+   * list
+   *
+   * Each call gets its own `AbortSignal` (passed as the `signal`
+   * property of `filter()`'s second argument). If `filter()` is called
+   * again before a previous call resolves, the previous call is
+   * aborted and whatever it resolves with is discarded.
+   *
+   * @param {string}  str   Current filter string
+   * @param {boolean} force Whether or not to ignore any cached result
+   *
+   * @returns {void}
+   */
+  const runFilter = (str, force = false) => {
+    abortFilter();
+
+    filterRequestID += 1;
+    filterController = new AbortController();
+    lastFetch = Date.now();
+    pageQuery = str;
+
+    const requestID = filterRequestID;
+    const { signal } = filterController;
+
+    filterError.value = null;
+
+    const isStale = () => (requestID !== filterRequestID || signal.aborted === true);
+    const cached = (force !== true && isCached(str));
+    const tmp = callFilter(str, { signal }, force);
+    const page = getOptionPage(tmp);
+
+    if (page !== null) {
+      // A cached result doesn't tell us anything about `filter()`
+      if (cached === false) {
+        filterIsAsync = false;
+      }
+      filterController = null;
+      hasFiltered.value = true;
+      nextPage.value = page.next;
+      setOptions(page.options);
+    } else if (tmp instanceof Promise) {
+      filterIsAsync = true;
+      fetching.value = true;
+      // The previous query's options don't match this query so they
+      // must not be shown (or chosen) while we wait
+      options.value = [];
+      maxIndex.value = -1;
+      selectedIndex.value = null;
+      activeID.value = undefined;
+
+      tmp.then((response) => {
+        if (isStale() === false) {
+          filterController = null;
+          hasFiltered.value = true;
+          setOptionsThen(response);
+        }
+      }).catch((error) => {
+        if (isStale() === false) {
+          filterController = null;
+          fetching.value = false;
+          filterError.value = error;
+          // Don't leave stale options lying around
+          options.value = [];
+          maxIndex.value = -1;
+          selectedIndex.value = null;
+          activeID.value = undefined;
+
+          console.error(
+            `${ePre.value('runFilter')} filter fetch failed `
+            + `with error: "${error}"`,
+          );
+        }
+      });
+    } else {
+      filterController = null;
+
+      throw new Error(
+        `${ePre.value('runFilter')} expects \`filter\` `
+        + 'attribute to return an array, a page of options or a Promise. '
+        + `${typeof tmp} returned`,
+      );
+    }
+  };
+
+  /**
+   * Call `filter()` again (e.g. after it failed)
+   *
+   * @returns {void}
+   */
+  const retryFilter = () => {
+    comboboxInput.value.focus();
+    runFilter(filterStr.value);
+  };
+
+  /**
+   * Add a page of options to the end of the option list (keeping
+   * the highlighted option highlighted)
+   *
+   * @param {Array} optionList Options to be added
+   *
+   * @returns {void}
+   */
+  const appendOptions = (optionList) => {
+    const known = rawOptions.value.map((option) => option.value);
+    const highlighted = (selectedIndex.value !== null && isObj(options.value[selectedIndex.value]))
+      ? options.value[selectedIndex.value].value
+      : null;
+
+    rawOptions.value = [
+      ...rawOptions.value,
+      ...getRawOptions(optionList).filter((option) => known.includes(option.value) === false),
+    ];
+    options.value = withCreateOption(sortByGroup(rawOptions.value, props.groupLabels));
+    maxIndex.value = (options.value.length - 1);
+
+    if (highlighted !== null) {
+      // Grouped options may have been added above the highlighted one
+      selectedIndex.value = options.value.findIndex((option) => option.value === highlighted);
+      setActiveDescendant();
+    }
+  };
+
+  /**
+   * Get the next page of options for the text the user last searched
+   * for and add them to the end of the option list
+   *
+   * Only does anything if the last `filter()` call returned a page of
+   * options with a `next` token. `next` is passed to `filter()` (or
+   * the data-source's `search()` method) in its second argument.
+   *
+   * @returns {void}
+   */
+  const loadMore = () => {
+    if (nextPage.value === null || loadingMore.value === true || fetching.value === true) {
+      return;
+    }
+
+    const requestID = filterRequestID;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const isStale = () => (requestID !== filterRequestID || signal.aborted === true);
+
+    const handleError = (error) => {
+      if (isStale() === false) {
+        filterController = null;
+        loadingMore.value = false;
+        // Don't keep asking for a page that can't be loaded
+        nextPage.value = null;
+
+        console.error(
+          `${ePre.value('loadMore')} filter fetch failed `
+          + `with error: "${error}"`,
+        );
+      }
+    };
+
+    filterController = controller;
+    loadingMore.value = true;
+
+    let response;
+
+    try {
+      response = callFilter(pageQuery, { next: nextPage.value, signal });
+    } catch (error) {
+      // `filter()` (or the data-source) threw before it could return
+      // a Promise
+      handleError(error);
+      return;
+    }
+
+    Promise.resolve(response)
+      .then((result) => {
+        if (isStale() === false) {
+          const page = getOptionPage(result);
+
+          if (page === null) {
+            throw new Error(
+              `expected a page of options. ${typeof result} returned`,
+            );
+          }
+
+          filterController = null;
+          loadingMore.value = false;
+          nextPage.value = page.next;
+          appendOptions(page.options);
+        }
+      })
+      .catch(handleError);
+  };
+
+  /**
+   * Whether or not the last option is highlighted and there are more
+   * options to get
+   *
+   * @returns {boolean}
+   */
+  const isAtEnd = () => (hasMore.value === true
+    && maxIndex.value > -1
+    && selectedIndex.value === maxIndex.value);
+
+  /**
+   * Show the options the user chose most recently (if history is
+   * turned on and there are any)
+   *
+   * @returns {boolean} `TRUE` if recent options are being shown
+   */
+  const showRecent = () => {
+    const recent = (selectionHistory.value !== null)
+      ? selectionHistory.value.getRecent()
+      : [];
+
+    if (recent.length === 0 || listOnType.value === false) {
+      return false;
+    }
+
+    abortFilter();
+    filterError.value = null;
+    hasFiltered.value = true;
+    showingRecent.value = true;
+    rawOptions.value = getRawOptions(recent);
+    options.value = rawOptions.value;
+    maxIndex.value = (options.value.length - 1);
+    selectedIndex.value = null;
+    activeID.value = undefined;
+    showList.value = true;
+
+    return true;
+  };
+
+  /**
+   * Remove a recent option from the history
+   *
+   * @param {number|null} index Index of the recent option
+   *
+   * @returns {boolean} `TRUE` if the option was removed
+   */
+  const removeRecent = (index) => {
+    if (showingRecent.value === false
+      || index === null
+      || isObj(options.value[index]) === false
+    ) {
+      return false;
+    }
+
+    selectionHistory.value.remove(options.value[index].value);
+
+    if (showRecent() === true) {
+      highlight(Math.min(index, maxIndex.value));
+    } else {
+      showingRecent.value = false;
+      showList.value = false;
+      rawOptions.value = [];
+      options.value = [];
+      maxIndex.value = -1;
+    }
+
+    return true;
+  };
+
+  const getOptionList = (str) => {
+    if (str.trim() === '' && showRecent() === true) {
+      return;
+    }
+
+    showingRecent.value = false;
+    showList.value = (showList.value === true || listOnType.value === true);
+
+    // Whatever we asked for previously is no longer wanted
+    abortFilter();
+
+    if (filterIsAsync === false || props.fetchStrategy === 'none' || isCached(str) === true) {
+      runFilter(str);
+      return;
+    }
+
+    const wait = (props.fetchStrategy === 'throttle')
+      ? (lastFetch + props.debounceTime) - Date.now()
+      : props.debounceTime;
+
+    if (wait <= 0) {
+      runFilter(str);
+      return;
+    }
+
+    filterTimer = setTimeout(() => {
+      filterTimer = null;
+      runFilter(str);
+    }, wait);
+
+    filterLocally(str);
+  };
+
+  const handleEnter = (event) => {
+    const target = (typeof event.target !== 'undefined'
+      && typeof event.target.dataset !== 'undefined'
+      && typeof event.target.dataset.index === 'string')
+      ? Number(event.target.dataset.index)
+      : selectedIndex.value;
+
+    if (isCreateOption(options.value[target])) {
+      requestCreate();
+      return;
+    }
+
+    let val = '';
+
+    if (typeof event.target !== 'undefined'
+      && typeof event.target.dataset !== 'undefined'
+    ) {
+      const { dataset } = event.target;
+
+      if (typeof dataset.index !== 'string'
+        && (showList.value === true || hasInlineCompletion() === true)
+        && selectedIndex.value !== null
+        && isObj(options.value[selectedIndex.value])
+      ) {
+        // Enter was pressed in the input field while an option was
+        // highlighted
+        val = options.value[selectedIndex.value].value;
+      } else if (typeof dataset.value === 'string') {
+        val = dataset.value;
+      }
+    }
+
+    if (val === '' && props.autoComplete !== 'list') {
+      val = getImplicitValue();
+    }
+
+    if (props.multiple === true) {
+      const option = (val !== '')
+        ? options.value.find((item) => item.value === val)
+        : options.value[selectedIndex.value];
+
+      if (isObj(option)) {
+        toggleSelected(option);
+      }
+      return;
+    }
+
+    selectedIndex.value = null;
+
+    if (val !== '') {
+      // `options` (not `rawOptions`) is the list that's rendered, so
+      // its index is the one that matches the option list
+      const index = options.value.findIndex((item) => item.value === val);
+
+      if (index > -1) {
+        selectedIndex.value = index;
+      }
+    }
+
+    emitChange(
+      options.value,
+      selectedIndex.value,
+      filterStr.value,
+      comboboxInput.value,
+      true,
+    );
+    showList.value = false;
+  };
+
+  /**
+   * Commit the highlighted option (if there is one) and close the
+   * option list
+   *
+   * In multi-select mode, the highlighted option is added to the
+   * selected options (if it is not already selected).
+   *
+   * @param {boolean} refocus Whether or not to move focus back to the
+   *                          input field (`FALSE` when focus is about
+   *                          to move to the next field)
+   *
+   * @returns {void}
+   */
+  const commitHighlighted = (refocus = true) => {
+    const index = selectedIndex.value;
+    const option = (index !== null)
+      ? options.value[index]
+      : undefined;
+
+    if (isObj(option) && (showList.value === true || hasInlineCompletion() === true)) {
+      if (isCreateOption(option)) {
+        requestCreate();
+      } else if (props.multiple === true) {
+        if (isSelected(option, index) === false) {
+          toggleSelected(option, refocus);
+        }
+      } else {
+        emitChange(options.value, index, filterStr.value, comboboxInput.value, false, true);
+        comboboxInput.value.value = getOptionText(option);
+      }
+    }
+
+    showList.value = false;
+
+    if (refocus === true) {
+      comboboxInput.value.focus();
+    }
+  };
+
+  /**
+   * Move focus from the option list back to the input field, applying
+   * the key the user pressed to the text in the input field so they
+   * can keep typing (filtering)
+   *
+   * @param {string} key Printable key (or Backspace/Delete) the user
+   *                     pressed
+   *
+   * @returns {void}
+   */
+  const returnToInput = (key) => {
+    const input = comboboxInput.value;
+    let val = (hasInlineCompletion() === true)
+      ? filterStr.value
+      : input.value;
+
+    if (key === 'Backspace') {
+      val = val.substring(0, val.length - 1);
+    } else if (key !== 'Delete') {
+      val += key;
+    }
+
+    input.value = val;
+    input.focus();
+    input.setSelectionRange(val.length, val.length);
+    // The input field's `keyup` event will take care of filtering
+  };
+
+  /**
+   * Clear the selected option(s) and the text in the input field
+   *
+   * @returns {void}
+   */
+  const clearSelection = () => {
+    comboboxInput.value.value = '';
+    filterStr.value = '';
+    selectedIndex.value = null;
+    showList.value = false;
+
+    if (props.multiple === true) {
+      activeID.value = undefined;
+      selectedOptions.value = [];
+      emitMultiChange();
+    } else {
+      emitChange(options.value, null, '', comboboxInput.value);
+    }
+
+    comboboxInput.value.focus();
+  };
+
+  /**
+   * Built-in keyboard actions that can be bound to keys via the
+   * `keymap` prop
+   *
+   * @type {object}
+   */
+  const keyActions = {
+    next: () => {
+      if (listAllowed.value === true && maxIndex.value > -1) {
+        showList.value = true;
+        increment(1);
+      }
+    },
+    previous: () => {
+      if (listAllowed.value === true) {
+        decrement(1);
+      }
+    },
+    jumpNext: () => {
+      if (listAllowed.value === true && maxIndex.value > -1) {
+        showList.value = true;
+        increment(props.jumpSize);
+      }
+    },
+    jumpPrevious: () => {
+      if (listAllowed.value === true) {
+        decrement(props.jumpSize);
+      }
+    },
+    pageNext: () => {
+      if (listAllowed.value === true) {
+        if (isAtEnd() === true) {
+          loadMore();
+        } else {
+          increment(getPageSize());
+        }
+      }
+    },
+    pagePrevious: () => {
+      if (listAllowed.value === true) {
+        decrement(getPageSize());
+      }
+    },
+    // When the option list is closed, Home & End are left to move the
+    // caret in the input field
+    first: () => {
+      if (listAllowed.value === true && showList.value === true) {
+        highlight(0);
+      }
+    },
+    last: () => {
+      if (listAllowed.value === true && showList.value === true) {
+        if (isAtEnd() === true) {
+          loadMore();
+        } else {
+          highlight(maxIndex.value);
+        }
+      }
+    },
+    commit: (event) => {
+      if (maxIndex.value > -1) {
+        handleEnter(event);
+      }
+    },
+    commitClose: () => {
+      if (listAllowed.value === true) {
+        commitHighlighted();
+      }
+    },
+    cancel: () => {
+      if (maxIndex.value === -1) {
+        return;
+      }
+
+      if (hasInlineCompletion() === true) {
+        // Remove the unaccepted autocomplete text but leave
+        // what the user typed
+        comboboxInput.value.value = filterStr.value;
+        selectedIndex.value = null;
+        activeID.value = undefined;
+        showList.value = false;
+        return;
+      }
+
+      selectedIndex.value = null;
+      showList.value = false;
+
+      if (props.multiple === true) {
+        activeID.value = undefined;
+        comboboxInput.value.focus();
+        return;
+      }
+
+      if (props.changeOn === 'highlight') {
+        // Every highlight was a change so cancelling clears the value
+        emitChange(options.value, selectedIndex.value, filterStr.value, comboboxInput.value, true);
+        return;
+      }
+
+      // Nothing has been chosen so there's nothing to emit. Just put
+      // back the label of the option that was last committed
+      activeID.value = undefined;
+      filterStr.value = activeLabel;
+      comboboxInput.value.value = activeLabel;
+      comboboxInput.value.focus();
+    },
+    open: () => {
+      if (listAllowed.value === true) {
+        // Open the option list without changing the highlighted
+        // option
+        showList.value = true;
+
+        if (maxIndex.value === -1) {
+          getOptionList(filterStr.value);
+        }
+      }
+    },
+    close: () => { showList.value = false; },
+    clear: clearSelection,
+    removeRecent: (event) => {
+      if (removeRecent(selectedIndex.value) === false
+        && event.target === comboboxInput.value
+        && event.target.value !== filterStr.value
+      ) {
+        // Shift+Delete also deletes text (when there is a selection)
+        filterStr.value = event.target.value;
+        getOptionList(filterStr.value);
+      }
+    },
+  };
+
+  //  END:  Local methods
+  // --------------------------------------------------
+  // START: Event handlers
+
+  const handleInputFocus = () => {
+    if (filterStr.value.trim() === '' && showRecent() === true) {
+      return;
+    }
+
+    if (rawOptions.value.length > 0 && listOnType.value === true) {
+      showList.value = true;
+      getOptionList(filterStr.value);
+    }
+  };
+
+  const handleKeyboardNav = (event) => {
+    const action = getKeyBinding(keymap.value, event);
+
+    if (typeof action === 'function') {
+      action(event, keyActions);
+    } else if (action !== null) {
+      if (typeof keyActions[action] === 'function') {
+        keyActions[action](event);
+      } else {
+        console.warn(`${ePre.value('handleKeyboardNav')} unknown keyboard action "${action}"`);
+      }
+    }
+  };
+
+  const handleInputKeyUp = (event) => {
+    const val = event.target.value;
+    const { key } = event;
+
+    if (getKeyBinding(keymap.value, event) === null && isPrintableCharacter(key)) {
+      filterStr.value = val;
+      // Backspace & Delete remove the autocomplete text so we
+      // shouldn't put it straight back
+      pendingInline = (inlineOnType.value === true
+        && key !== 'Backspace'
+        && key !== 'Delete');
+      getOptionList(val);
+    } else {
+      handleKeyboardNav(event);
+    }
+
+    if (pendingSubmit === true && key === 'Enter') {
+      pendingSubmit = false;
+
+      // Wait for the hidden inputs to be updated with the committed
+      // value before submitting
+      nextTick(() => {
+        if (form !== null && typeof form.requestSubmit === 'function') {
+          form.requestSubmit();
+        }
+      });
+    }
+  };
+
+  const handleInputKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      if (showList.value === true) {
+        // Stop Enter from submitting the parent form while the user
+        // is choosing an option
+        event.preventDefault();
+      } else if ((props.multiple === true && event.target.value.trim() !== '')
+        || (props.multiple === false && event.target.value !== activeLabel)
+      ) {
+        // The text the user typed is only resolved (and committed) on
+        // key up so the form must not be submitted until then
+        event.preventDefault();
+        pendingSubmit = true;
+      }
+    }
+
+    // Tab must be handled on key down because the key up event fires
+    // on whatever element receives focus next
+    if (event.key === 'Tab') {
+      if (props.tabCommit === true && showList.value === true) {
+        commitHighlighted(false);
+      }
+      return;
+    }
+
+    // This must be done on key down because by the time the key up
+    // event fires, the last character has already been removed
+    if (props.multiple === true
+      && event.key === 'Backspace'
+      && event.target.value === ''
+      && selectedOptions.value.length > 0
+    ) {
+      removeSelected(selectedOptions.value[selectedOptions.value.length - 1].value);
+    }
+  };
+
+  const handleFocusOut = (event) => {
+    if (event.relatedTarget instanceof Node
+      && comboboxWrap.value.contains(event.relatedTarget)
+    ) {
+      // Focus is just moving within the combobox
+      return;
+    }
+
+    touched.value = true;
+
+    // In `both` mode the highlighted option's label is already in the
+    // input field so leaving the field commits it
+    if (props.autoComplete === 'both'
+      && props.changeOn === 'commit'
+      && props.multiple === false
+      && showList.value === true
+      && selectedIndex.value !== null
+      && isObj(options.value[selectedIndex.value])
+      && options.value[selectedIndex.value].value !== activeVal.value
+    ) {
+      commitHighlighted(false);
+    }
+  };
+
+  const handleChipRemove = (event) => {
+    removeSelected(event.currentTarget.dataset.value);
+    comboboxInput.value.focus();
+  };
+
+  const handleOptionKeyDown = (event) => {
+    if (event.key === 'Tab') {
+      if (props.tabCommit === true) {
+        commitHighlighted(false);
+      }
+      return;
+    }
+
+    if (event.altKey === false
+      && event.ctrlKey === false
+      && event.metaKey === false
+      && isPrintableCharacter(event.key)
+    ) {
+      // Stop the browser from scrolling the list (space) or navigating
+      // back (Backspace)
+      event.preventDefault();
+      returnToInput(event.key);
+    }
+  };
+
+  const handleOptionKeyUp = (event) => {
+    // Stop the event bubbling up to the root element's key up handler
+    event.stopPropagation();
+    handleKeyboardNav(event);
+  };
+
+  const handleOptionClick = (event) => {
+    const target = event.target.closest('[role="option"]');
+
+    if (target === null) {
+      // User clicked on a group heading (or the space between options)
+      return;
+    }
+
+    const { index, value } = target.dataset;
+
+    if (event.target.closest('[data-remove-recent]') !== null) {
+      removeRecent(Number(index));
+      comboboxInput.value.focus();
+      return;
+    }
+
+    if (isCreateOption(options.value[index])) {
+      selectedIndex.value = Number(index);
+      requestCreate();
+      return;
+    }
+
+    if (props.multiple === true) {
+      if (isObj(options.value[index]) && options.value[index].value === value) {
+        selectedIndex.value = Number(index);
+        setActiveDescendant();
+        toggleSelected(options.value[index]);
+      }
+      return;
+    }
+
+    if (isObj(options.value[index]) && options.value[index].value === value) {
+      selectedIndex.value = Number(index);
+    } else {
+      selectedIndex.value = null;
+    }
+
+    emitChange(
+      options.value,
+      selectedIndex.value,
+      filterStr.value,
+      comboboxInput.value,
+      true,
+    );
+    showList.value = false;
+  };
+
+  const handleListScroll = () => {
+    if (props.virtual === true) {
+      measureList();
+    }
+
+    const list = comboboxList.value;
+
+    // Start getting the next page before the user actually hits the
+    // bottom of the list
+    if (hasMore.value === true
+      && list !== null
+      && (list.scrollHeight - list.scrollTop - list.clientHeight) <= (props.itemHeight * 2)
+    ) {
+      loadMore();
+    }
+  };
+
+  const handleFormReset = () => {
+    // The form only resets its controls after the `reset` event has
+    // been dispatched so we have to wait for it to finish
+    setTimeout(() => {
+      const values = modelToList(initialModel);
+      let value = values;
+
+      if (props.multiple === false) {
+        value = (values.length > 0)
+          ? values[0]
+          : '';
+      }
+
+      abortFilter();
+      showList.value = false;
+      touched.value = false;
+
+      if (sameModel(value, lastModel) === false) {
+        emitModel(value);
+      }
+
+      syncFromModel(value);
+    }, 0);
+  };
+
+  const backgroundClick = (event) => {
+    if (comboboxWrap.value.contains(event.target) === false) {
+      showList.value = false;
+    }
+  };
+
+  //  END:  Event handlers
+  // --------------------------------------------------
+  // START: Element prop bags
+
+  /**
+   * Attributes & event handlers for the element that wraps the input
+   * field & option list
+   *
+   * @returns {object}
+   */
+  const rootProps = computed(() => ({
+    onFocusout: handleFocusOut,
+    onKeyup: handleInputKeyUp,
+  }));
+
+  /**
+   * Attributes & event handlers for the input field
+   *
+   * @returns {object}
+   */
+  const inputProps = computed(() => ({
+    'aria-activedescendant': activeID.value,
+    'aria-autocomplete': props.autoComplete,
+    'aria-controls': getID('listbox'),
+    'aria-describedby': describedBy.value,
+    'aria-expanded': showList.value,
+    'aria-label': props.ariaLabel,
+    'aria-labelledby': props.ariaLabelledby,
+    'aria-invalid': (_invalid.value === true)
+      ? 'true'
+      : undefined,
+    'data-value': activeVal.value,
+    id: props.id,
+    placeholder: getPlaceHolder.value,
+    role: 'combobox',
+    type: 'text',
+    onFocus: handleInputFocus,
+    onKeydown: handleInputKeyDown,
+  }));
+
+  /**
+   * Attributes & event handlers for the option list
+   *
+   * @returns {object}
+   */
+  const listboxProps = computed(() => ({
+    'aria-busy': (listState.value === 'loading' || loadingMore.value === true)
+      ? 'true'
+      : undefined,
+    'aria-label': props.label,
+    'aria-multiselectable': (props.multiple === true)
+      ? 'true'
+      : undefined,
+    id: getID('listbox'),
+    role: 'listbox',
+    tabindex: listTabIndex.value,
+    onClick: handleOptionClick,
+    onKeydown: handleOptionKeyDown,
+    onKeyup: handleOptionKeyUp,
+    onScroll: handleListScroll,
+  }));
+
+  /**
+   * Get the attributes for a single option element
+   *
+   * @param {object} option Option being rendered
+   * @param {number} index  Index of the option in the filtered list
+   *
+   * @returns {object}
+   */
+  const getOptionProps = (option, index) => ({
+    // Unrendered options are not counted by assistive technology so
+    // we need to tell it where this option sits in the full list
+    'aria-posinset': (props.virtual === true)
+      ? index + 1
+      : undefined,
+    'aria-describedby': (showingRecent.value === true)
+      ? getID('recent-hint')
+      : undefined,
+    'aria-selected': isSelected(option, index),
+    'aria-setsize': (props.virtual === true)
+      ? options.value.length
+      : undefined,
+    'data-index': index,
+    'data-value': option.value,
+    id: `${getID('item')}--${index}`,
+    role: 'option',
+    tabindex: listTabIndex.value,
+  });
+
+  //  END:  Element prop bags
+  // --------------------------------------------------
+  // START: Watcher methods
+
+  watch(
+    boundValue,
+    (value) => {
+      if (sameModel(value, lastModel) === false) {
+        syncFromModel(value);
+      }
+    },
+    { deep: true },
+  );
+
+  watch(selectedIndex, scrollToIndex, { flush: 'post' });
+
+  watch(
+    formValues,
+    (values) => {
+      validate(values.filter((value) => value !== ''), selectedRaw.value);
+    },
+    { flush: 'post' },
+  );
+
+  watch(
+    () => [
+      props.allowedValues,
+      props.invalid,
+      props.invalidText,
+      props.minSelections,
+      props.minSelectionsText,
+      props.required,
+      props.requiredText,
+      props.validator,
+    ],
+    () => {
+      validate(
+        formValues.value.filter((value) => value !== ''),
+        selectedRaw.value,
+        true,
+      );
+    },
+    { deep: true },
+  );
+
+  watch(showList, (isShown) => {
+    if (isShown === false) {
+      listScrollTop.value = 0;
+    }
+  });
+
+  //  END:  watcher methods
+  // --------------------------------------------------
+  // START: Lifecycle methods
+
+  onBeforeMount(() => {
+    if (bouncingFilter === null) {
+      bouncingFilter = (typeof props.debounceFilter === 'function')
+        ? props.debounceFilter
+        : defaultFilter;
+    }
+    if (ePre.value === null) {
+      ePre.value = getEpre('useCombobox', props.id);
+      bod = document.body;
+
+      bod.addEventListener('pointerup', backgroundClick);
+    }
+  });
+
+  onMounted(() => {
+    if (firstTime === true) {
+      firstTime = false;
+      initialModel = boundValue.value;
+
+      syncFromModel(boundValue.value);
+    }
+
+    validate(formValues.value.filter((value) => value !== ''), selectedRaw.value, true);
+
+    form = comboboxInput.value.form;
+
+    if (form !== null) {
+      form.addEventListener('reset', handleFormReset);
+    }
+  });
+
+  onUnmounted(() => {
+    abortFilter();
+
+    if (form !== null) {
+      form.removeEventListener('reset', handleFormReset);
+    }
+
+    if (bod !== null) {
+      bod.removeEventListener('pointerup', backgroundClick);
+    }
+  });
+
+  //  END:  Lifecycle methods
+  // --------------------------------------------------
+  // START: Public API
+
+  const api = {
+    /**
+     * Open the option list (calling `filter()` if there are no
+     * options yet) without changing the highlighted option
+     *
+     * @returns {void}
+     */
+    open: () => { keyActions.open(); },
+
+    /**
+     * Close the option list (without committing anything)
+     *
+     * @returns {void}
+     */
+    close: () => { keyActions.close(); },
+
+    /**
+     * Move focus to the input field
+     *
+     * @returns {void}
+     */
+    focus: () => { comboboxInput.value.focus(); },
+
+    /**
+     * Clear the selected option(s) and the text in the input field
+     * (emits `change`)
+     *
+     * @returns {void}
+     */
+    clear: () => { clearSelection(); },
+
+    /**
+     * Call `filter()` again with the text currently in the input
+     * field (e.g. after the data behind it has changed)
+     *
+     * > __Note:__ If results are cached, the cache is bypassed (and
+     * >           the new result replaces the cached one)
+     *
+     * @returns {void}
+     */
+    refresh: () => { runFilter(filterStr.value, true); },
+
+    /**
+     * Replace the current list of options (as if `filter()` had
+     * returned them). Any pending `filter()` call is aborted.
+     *
+     * @param {Array} optionList List of options
+     *
+     * @returns {void}
+     */
+    setOptions: (optionList) => {
+      abortFilter();
+      fetching.value = false;
+      filterError.value = null;
+      hasFiltered.value = true;
+      setOptionsThen(optionList);
+    },
+
+    /**
+     * Get the selected option (or, when `multiple` is `TRUE`, list
+     * of options)
+     *
+     * @returns {object|object[]|null}
+     */
+    getSelected: () => selectedRaw.value,
+
+    /**
+     * Highlight the option at the supplied index (opening the option
+     * list if allowed) as if the user had navigated to it
+     *
+     * @param {number} index Index of the option to be highlighted
+     *
+     * @returns {void}
+     */
+    highlight: (index) => {
+      if (listAllowed.value === true && maxIndex.value > -1) {
+        showList.value = true;
+      }
+
+      highlight(index);
+    },
+
+    /**
+     * Get the next page of options (if the last `filter()` call
+     * returned a page of options with a `next` token) and add them to
+     * the end of the option list
+     *
+     * @returns {void}
+     */
+    loadMore,
+  };
+
+  //  END:  Public API
+  // --------------------------------------------------
+
+  return {
+    // Template refs
+    comboboxInput,
+    comboboxList,
+    comboboxWrap,
+
+    // State
+    _invalid,
+    activeID,
+    activeVal,
+    fetching,
+    filterError,
+    filterStr,
+    formValues,
+    hasMore,
+    listState,
+    loadingMore,
+    maxIndex,
+    optionGroups,
+    options,
+    selectedIndex,
+    selectedOptions,
+    showingRecent,
+    showList,
+    validationMessage,
+    validity,
+    virtualItems,
+    virtualRange,
+
+    // Helpers
+    charNormaliser,
+    getID,
+    getItemMatches,
+    isSelected,
+    listTabIndex,
+    retryFilter,
+
+    // Element prop bags
+    getOptionProps,
+    inputProps,
+    listboxProps,
+    rootProps,
+
+    // Event handlers that are not in a prop bag
+    handleChipRemove,
+
+    // Public API
+    api,
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * This file provides ComboboxInput as a standards based,
+ * form-associated custom element (`<whole-combobox>`) for use in
+ * non-Vue apps.
+ *
+ * The element renders into the light DOM (not a shadow root) so the
+ * page's Tailwind CSS still applies to it.
+ *
+ * @example
+ * ```html
+ * <form>
+ *   <whole-combobox
+ *     id="state"
+ *     label="State"
+ *     name="state"
+ *     options='[{"value":"ACT","label":"Australian Capital Territory"}]'
+ *     required></whole-combobox>
+ * </form>
+ * <script type="module">
+ *   import { registerWholeCombobox } from './whole-combobox.js';
+ *
+ *   registerWholeCombobox();
+ *
+ *   const combo = document.getElementById('state');
+ *
+ *   // Filter can only be set as a property
+ *   combo.filter = async (str) => fetchStates(str);
+ *   combo.addEventListener('change', (event) => {
+ *     console.log(event.target.value, event.target.rawValue);
+ *   });
+ * </script>
+ * ```
+ *
+ * @file whole-combobox.js
+ */
+
+import { defineCustomElement } from 'vue';
+import WholeCombobox from './WholeCombobox.ce.vue';
+
+let comboCount = 0;
+
+const BaseElement = defineCustomElement(WholeCombobox, { shadowRoot: false });
+
+/**
+ * `<whole-combobox>` custom element
+ *
+ * As well as ComboboxInput's props (as attributes or properties),
+ * the element mimics the parts of a native form field (and of
+ * `fauxEventTarget()`) that are useful to event listeners:
+ * `value`, `rawValue`, `validity`, `validationMessage`,
+ * `willValidate`, `form`, `name`, `type`, `checkValidity()` &
+ * `reportValidity()`
+ */
+export class WholeComboboxElement extends BaseElement {
+  static formAssociated = true;
+
+  constructor(initialProps) {
+    super(initialProps);
+
+    comboCount += 1;
+
+    this.comboID = `whole-combobox-${comboCount}`;
+    this.internals = this.attachInternals();
+    this._modelHandler = null;
+    this._rawValue = undefined;
+    this._value = undefined;
+  }
+
+  get form() { return this.internals.form; }
+
+  get name() { return this.getAttribute('name'); }
+
+  get rawValue() {
+    return (typeof this._rawValue !== 'undefined')
+      ? this._rawValue
+      : this.value;
+  }
+
+  get type() {
+    return (this.multiple === true)
+      ? 'select-multiple'
+      : 'select-one';
+  }
+
+  get validationMessage() { return this.internals.validationMessage; }
+
+  get validity() { return this.internals.validity; }
+
+  /**
+   * Committed value (or, when `multiple` is `TRUE`, list of values)
+   *
+   * If the value has not been set yet, the `value` attribute is used
+   * (as a JSON encoded array when `multiple` is `TRUE`)
+   *
+   * @returns {string|string[]}
+   */
+  get value() {
+    if (typeof this._value !== 'undefined') {
+      return this._value;
+    }
+
+    const attr = this.getAttribute('value');
+
+    if (this.multiple !== true) {
+      return (attr !== null)
+        ? attr
+        : '';
+    }
+
+    try {
+      const tmp = JSON.parse(attr);
+
+      return (Array.isArray(tmp))
+        ? tmp
+        : [];
+    } catch {
+      return [];
+    }
+  }
+
+  set value(value) {
+    this._value = value;
+    this._rawValue = undefined;
+
+    if (this._modelHandler !== null) {
+      this._modelHandler(value);
+    }
+  }
+
+  get willValidate() { return this.internals.willValidate; }
+
+  checkValidity() { return this.internals.checkValidity(); }
+
+  reportValidity() { return this.internals.reportValidity(); }
+
+  /**
+   * Record the value committed by the user (used by the element's
+   * root component)
+   *
+   * @param {string|string[]} value    Committed value
+   * @param {any}             rawValue Full option data for the
+   *                                   committed value
+   *
+   * @returns {void}
+   */
+  setValue(value, rawValue = undefined) {
+    this._value = value;
+    this._rawValue = rawValue;
+  }
+
+  /**
+   * Register the function that updates the element's root component
+   * when the `value` property is set
+   *
+   * @param {Function} handler Function that takes the new value
+   *
+   * @returns {void}
+   */
+  setModelHandler(handler) {
+    this._modelHandler = handler;
+  }
+}
+
+/**
+ * Register the `<whole-combobox>` custom element (if it hasn't
+ * already been registered)
+ *
+ * @param {string} tagName Tag name to register the element as
+ *
+ * @returns {CustomElementConstructor}
+ */
+export const registerWholeCombobox = (tagName = 'whole-combobox') => {
+  const existing = customElements.get(tagName);
+
+  if (typeof existing !== 'undefined') {
+    return existing;
+  }
+
+  customElements.define(tagName, WholeComboboxElement);
+
+  return WholeComboboxElement;
+};
@@ -0,0 +1,20 @@
+// Entry point for the `<whole-combobox>` custom element build
+// (`npm run build:ce`)
+import { registerWholeCombobox } from './components/shared-components/WholeInputField/whole-combobox';
+
+export {
+  registerWholeCombobox,
+  WholeComboboxElement,
+} from './components/shared-components/WholeInputField/whole-combobox';
+
+export {
+  pagedSource,
+  restSource,
+  staticSource,
+} from './components/shared-components/WholeInputField/combobox-source.utils';
+
+export { createQueryCache } from './components/shared-components/WholeInputField/combobox-cache.utils';
+
+export { createHistory } from './components/shared-components/WholeInputField/combobox-history.utils';
+
+registerWholeCombobox();
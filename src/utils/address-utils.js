@@ -15,6 +15,7 @@ import {
   rewriteObjPropNames,
 } from './data-utils';
 import { ucFirst } from './general-utils';
+import { normaliseText } from './normalise-utils';
 
 // ========================================================
 // START: JSDoc type definitions
@@ -330,18 +331,20 @@ export const makeAbbrFull = (addr) => {
 /**
  * Normalise an address string to make it easier to match.
  *
- * 1. Remove all non-alpha numeric characters and replace them
- *    with spaces.
- * 2. Trim any leading and traling white space
- * 3. Make string all lowercase
+ * 1. Make string all lowercase
+ * 2. Remove diacritics (accents)
+ * 3. Replace all non-alpha numeric characters with spaces.
+ * 4. Trim any leading and traling white space
  *
- * @param {string} addr Address string to be normalised
+ * @param {string} addr   Address string to be normalised
+ * @param {object} config Normalisation config
+ *                        (see `normaliseText()`)
  *
  * @returns {string}
  */
-export const normalisAddr = (addr) => {
+export const normalisAddr = (addr, config = {}) => {
   if (typeof addr === 'string') {
-    return addr.replace(/[^a-z\d]+/ig, ' ').trim().toLowerCase();
+    return normaliseText(addr, { ...config, keepSpaces: true });
   }
 
   return addr;
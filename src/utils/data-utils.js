@@ -9,6 +9,7 @@
  */
 
 import { makePossessive } from './general-utils';
+import { normaliseText } from './normalise-utils';
 
 export const setLocalValue = (key, value) => {
   if (typeof localStorage !== 'undefined') {
@@ -370,13 +371,19 @@ export const objectsAreSame = (obj1, obj2) => {
   // --------------------------------------------
 };
 
-export const simpleStr = (input) => {
-  if (typeof input !== 'string') {
-    return '';
-  }
-
-  return input.toLocaleLowerCase().replace(/[^a-z0-9]+/g, '');
-};
+/**
+ * Get a lowercase version of a string with diacritics (accents),
+ * white space and punctuation removed so it can be easily compared
+ * with other strings
+ *
+ * @param {any}    input  String to be simplified
+ * @param {object} config Normalisation config
+ *                        (see `normaliseText()`)
+ *
+ * @returns {string} Simplified string (empty string if input is not
+ *                   a string)
+ */
+export const simpleStr = (input, config = {}) => normaliseText(input, config);
 
 export const updateObject = (object, updates) => {
   const result = {};
@@ -0,0 +1,161 @@
+/**
+ * This file contains a collection of "pure" functions for
+ * normalising text so it can be compared/matched regardless of
+ * case, diacritics (accents) or punctuation.
+ *
+ * Each function is exported so it can be easily unit tested.
+ *
+ * @file normalise-utils.js
+ */
+
+// ========================================================
+// START: JSDoc type definitions
+
+/**
+ * Config for text normalisation
+ *
+ * @typedef TNormaliseConfig
+ * @type {object}
+ *
+ * @property {string|string[]} [locale]        Locale(s) to use when
+ *                             converting text to lowercase
+ *                             (e.g. "tr" so "I" becomes "ı")
+ *                             [undefined - browser default]
+ * @property {boolean}         [transliterate] Whether or not to
+ *                             convert letters that have no
+ *                             decomposed form (e.g. "ß", "ø", "æ")
+ *                             to their closest Latin equivalent
+ *                             [FALSE]
+ * @property {boolean}         [keepSpaces]    Whether or not to
+ *                             replace white space & punctuation with
+ *                             a single space (instead of removing
+ *                             it) [FALSE]
+ */
+
+//  END:  JSDoc type definitions
+// ========================================================
+
+/**
+ * Letters that Unicode NFKD normalisation does not decompose into a
+ * base letter plus diacritics, mapped to their closest Latin
+ * equivalent
+ *
+ * @type {object}
+ */
+export const transliterations = {
+  æ: 'ae',
+  ð: 'd',
+  đ: 'd',
+  ħ: 'h',
+  ı: 'i',
+  ł: 'l',
+  ŀ: 'l',
+  ŋ: 'n',
+  ø: 'o',
+  œ: 'oe',
+  ß: 'ss',
+  ŧ: 't',
+  þ: 'th',
+};
+
+/**
+ * Lowercase letters that Unicode case folding maps to another
+ * lowercase letter (converting to lowercase one character at a time
+ * doesn't catch these, e.g. "ΟΔΟΣ" lowercases to "οδοσ" but "οδος"
+ * ends with a final sigma)
+ *
+ * @type {object}
+ */
+export const caseFolds = {
+  ς: 'σ',
+  ᲀ: 'в',
+  ᲁ: 'д',
+  ᲂ: 'о',
+  ᲃ: 'с',
+  ᲄ: 'т',
+  ᲅ: 'т',
+  ᲆ: 'ъ',
+  ᲇ: 'ѣ',
+  ᲈ: 'ꙋ',
+};
+
+/**
+ * Get a function that normalises a single character
+ *
+ * The returned function:
+ * 1. converts the character to lowercase (using the configured
+ *    locale)
+ * 2. applies Unicode NFKD (compatibility decomposition) folding
+ *    (e.g. "ﬁ" becomes "fi" & "é" becomes "e" + combining accent)
+ * 3. removes diacritics (combining marks)
+ * 4. applies case folding (e.g. "ς" becomes "σ")
+ * 5. optionally transliterates the character
+ * 6. removes (or converts to a space) anything that is not a letter
+ *    or number (in any script)
+ *
+ * @param {TNormaliseConfig} config Normalisation config
+ *
+ * @returns {(char: string) => string} Function that takes a single
+ *                   character and returns its normalised form (which
+ *                   may be empty or more than one character long)
+ */
+export const getCharNormaliser = (config = {}) => {
+  const { locale, transliterate = false, keepSpaces = false } = config;
+  const other = (keepSpaces === true)
+    ? ' '
+    : '';
+
+  return (char) => {
+    let output = char.toLocaleLowerCase(locale)
+      .normalize('NFKD')
+      .replace(/\p{M}+/gu, '')
+      .replace(/./gu, (c) => ((typeof caseFolds[c] === 'string')
+        ? caseFolds[c]
+        : c));
+
+    if (transliterate === true) {
+      output = output.replace(/./gu, (c) => ((typeof transliterations[c] === 'string')
+        ? transliterations[c]
+        : c));
+    }
+
+    return output.replace(/[^\p{L}\p{N}]+/gu, other);
+  };
+};
+
+/**
+ * Default character normaliser (browser default locale, no
+ * transliteration, white space & punctuation removed)
+ *
+ * @param {string} char Character to be normalised
+ *
+ * @returns {string}
+ */
+export const foldChar = getCharNormaliser();
+
+/**
+ * Normalise a string so it can be compared with other normalised
+ * strings (see `getCharNormaliser()` for what normalisation does)
+ *
+ * @param {string}           input  String to be normalised
+ * @param {TNormaliseConfig} config Normalisation config
+ *
+ * @returns {string} Normalised string (empty string if input is not
+ *                   a string)
+ */
+export const normaliseText = (input, config = {}) => {
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  const normaliseChar = getCharNormaliser(config);
+  let output = '';
+
+  for (const char of input) {
+    output += normaliseChar(char);
+  }
+
+  return (config.keepSpaces === true)
+    ? output.replace(/ {2,}/g, ' ').trim()
+    : output;
+};
@@ -0,0 +1,27 @@
+import { fileURLToPath, URL } from 'node:url';
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+// Builds `<whole-combobox>` as a self-contained custom element
+// (Vue is bundled in so it can be used in non-Vue apps)
+export default defineConfig({
+  plugins: [vue()],
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+    },
+  },
+  build: {
+    emptyOutDir: false,
+    outDir: 'dist/custom-element',
+    lib: {
+      entry: fileURLToPath(new URL('./src/custom-element.js', import.meta.url)),
+      name: 'WholeCombobox',
+      fileName: 'whole-combobox',
+      formats: ['es', 'umd'],
+    },
+  },
+})